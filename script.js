@@ -3,43 +3,265 @@
 
     const CONFIG = Object.freeze({
         CACHE: {
+            VERSION: 3,
             DURATION: 24 * 60 * 60 * 1000,
+            MAX_AGE: 7 * 24 * 60 * 60 * 1000,
+            IDB: {
+                NAME: 'lcw_carousel',
+                STORE: 'cache'
+            },
             KEYS: {
                 PRODUCTS: 'lcw_urun_listesi',
                 FAVORITES: 'lcw_favoriler', 
-                TIMESTAMP: 'lcw_urun_zamani'
-            }
+                RECENTLY_VIEWED: 'lcw_son_bakilanlar'
+            },
+            LEGACY_KEYS: ['lcw_urun_zamani']
+        },
+        
+        HISTORY: {
+            LIMIT: 12,
+            MAX_AGE: 30 * 24 * 60 * 60 * 1000,
+            STORAGE_LIMIT: 50
         },
         
         API: {
             URL: 'https://gist.githubusercontent.com/sevindi/5765c5812bbc8238a38b3cf52f233651/raw/56261d81af8561bf0a7cf692fe572f9e1e91f372/products.json',
             TIMEOUT: 10000,
             RETRY_ATTEMPTS: 3,
-            RETRY_DELAY: 1000
+            RETRY_DELAY: 1000,
+            MAX_RETRY_DELAY: 30000
+        },
+        
+        ANALYTICS: {
+            BATCH_SIZE: 20,
+            IMPRESSION_THRESHOLD: 0.5,
+            IMPRESSION_DELAY: 1000
         },
         
         UI: {
             DEBOUNCE_DELAY: 200,
-            RESPONSIVE: {
-                MOBILE: 480,
-                TABLET: 768, 
-                DESKTOP: 1024
+            MOUNT_TIMEOUT: 15000,
+            AUTOPLAY_DELAY: 5000,
+            VIRTUAL_BUFFER: 4,
+            IMAGE_PLACEHOLDER: 'data:image/gif;base64,R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7',
+            IMAGE_SIZES: '(max-width: 768px) 50vw, 25vw',
+            DRAG: {
+                THRESHOLD: 6,
+                MOMENTUM: 150,
+                SAMPLE_WINDOW: 100
             },
-            VISIBLE_COUNT: {
-                MOBILE: 2,
-                TABLET: 2,
-                MEDIUM: 3,
-                DESKTOP: 4
-            }
+            MOBILE_MAX_WIDTH: 480,
+            BREAKPOINTS: [
+                { maxWidth: 480, visibleCount: 2, gap: 10, arrows: false, compact: true },
+                { maxWidth: 768, visibleCount: 2, gap: 15, compact: true },
+                { maxWidth: 1024, visibleCount: 3, gap: 15 },
+                { maxWidth: Infinity, visibleCount: 4, gap: 15 }
+            ]
         }
     });
 
+    const MESSAGES = Object.freeze({
+        tr: {
+            locale: 'tr-TR',
+            title: 'Bunları da Beğenebilirsiniz',
+            recentTitle: 'Son Baktıklarınız',
+            clearHistory: 'Geçmişi temizle',
+            wishlist: 'Favorilerim',
+            wishlistCount: 'Favorilerim ({count})',
+            wishlistEmpty: 'Henüz favorilere eklediğiniz ürün yok.',
+            wishlistRemove: 'Favorilerden çıkar: {name}',
+            wishlistUnavailable: 'Artık satışta değil',
+            wishlistItem: 'Ürün #{id}',
+            openProduct: 'Ürüne git',
+            close: 'Kapat',
+            previousProduct: 'Önceki ürün',
+            nextProduct: 'Sonraki ürün',
+            carousel: 'carousel',
+            slide: 'slayt',
+            slideLabel: '{index} / {total}: {name}',
+            previous: 'Önceki ürünler',
+            next: 'Sonraki ürünler',
+            favorite: 'Favori: {name}',
+            favoriteAdd: 'Favorilere ekle',
+            favoriteRemove: 'Favorilerden çıkar',
+            oldPrice: 'Eski fiyat:',
+            position: 'Ürünler {start}–{end} / {total}',
+            pagination: 'Sayfalar',
+            page: 'Sayfa {page} / {total}',
+            loading: 'Ürünler yükleniyor…',
+            empty: 'Şu anda gösterilecek ürün yok.',
+            error: 'Ürünler yüklenemedi.',
+            retry: 'Tekrar dene',
+            logNotProductPage: 'bu kod sadece urun sayfalarinda calisir',
+            logMountNotFound: '{id}: hedef bulunamadi',
+            logInitialized: '{id}: carousel yuklendi',
+            logInitFailed: '{id}: carousel yuklenemedi',
+            logCacheHit: 'urunler onceden yuklendi',
+            logInvalidProducts: '{id}: {rejected}/{total} urun gecersiz',
+            logRevalidateFailed: '{id}: arka plan yenilemesi basarisiz',
+            logInitAborted: '{id}: yukleme iptal edildi',
+            logInvalidProductsHookFailed: '{id}: onInvalidProducts hata verdi',
+            logHandlerFailed: '"{type}" dinleyicisi hata verdi',
+            logStorageQuota: 'depolama alani dolu: {key}',
+            logJsonLdSkipped: 'hatali JSON-LD blogu atlandi',
+            logFavoritesListenerFailed: 'favori dinleyicisi hata verdi',
+            logHistoryListenerFailed: 'gecmis dinleyicisi hata verdi',
+            logAnalyticsFailed: 'analitik gonderimi basarisiz',
+            logUnknownThemeTokens: 'bilinmeyen tema degiskenleri: {tokens}'
+        },
+        en: {
+            locale: 'en-US',
+            title: 'You May Also Like',
+            recentTitle: 'Recently Viewed',
+            clearHistory: 'Clear history',
+            wishlist: 'My favorites',
+            wishlistCount: 'My favorites ({count})',
+            wishlistEmpty: 'You have not added any favorites yet.',
+            wishlistRemove: 'Remove from favorites: {name}',
+            wishlistUnavailable: 'No longer available',
+            wishlistItem: 'Product #{id}',
+            openProduct: 'Go to product',
+            close: 'Close',
+            previousProduct: 'Previous product',
+            nextProduct: 'Next product',
+            carousel: 'carousel',
+            slide: 'slide',
+            slideLabel: '{index} of {total}: {name}',
+            previous: 'Previous products',
+            next: 'Next products',
+            favorite: 'Favorite: {name}',
+            favoriteAdd: 'Add to favorites',
+            favoriteRemove: 'Remove from favorites',
+            oldPrice: 'Original price:',
+            position: 'Products {start}–{end} of {total}',
+            pagination: 'Pages',
+            page: 'Page {page} of {total}',
+            loading: 'Loading products…',
+            empty: 'There are no products to show right now.',
+            error: 'Products could not be loaded.',
+            retry: 'Try again',
+            logNotProductPage: 'this script only runs on product pages',
+            logMountNotFound: '{id}: mount target not found',
+            logInitialized: '{id}: carousel initialized',
+            logInitFailed: '{id}: initialization failed',
+            logCacheHit: 'products loaded from cache',
+            logInvalidProducts: '{id}: {rejected}/{total} products rejected',
+            logRevalidateFailed: '{id}: background refresh failed',
+            logInitAborted: '{id}: loading was aborted',
+            logInvalidProductsHookFailed: '{id}: onInvalidProducts hook failed',
+            logHandlerFailed: '"{type}" handler failed',
+            logStorageQuota: 'storage quota exceeded: {key}',
+            logJsonLdSkipped: 'skipping malformed JSON-LD block',
+            logFavoritesListenerFailed: 'favorites listener failed',
+            logHistoryListenerFailed: 'recently viewed listener failed',
+            logAnalyticsFailed: 'analytics sink failed',
+            logUnknownThemeTokens: 'unknown theme tokens: {tokens}'
+        }
+    });
+
+    const DEFAULT_LANGUAGE = 'tr';
+
+    const DEFAULT_THEME = Object.freeze({
+        background: '#f4f5f7',
+        surface: '#fff',
+        imageBackground: '#f5f5f5',
+        text: '#333',
+        muted: '#666',
+        subtle: '#999',
+        border: '#ddd',
+        hover: '#f0f0f0',
+        accent: '#183db0',
+        focus: '#183db0',
+        favorite: '#0066cc',
+        badgeBackground: '#d0021b',
+        badgeText: '#fff',
+        skeletonBase: '#e8e9ec',
+        skeletonHighlight: '#f5f6f8',
+        titleSize: '22px',
+        titleSizeMobile: '18px',
+        nameSize: '14px',
+        priceSize: '16px',
+        oldPriceSize: '13px',
+        badgeSize: '12px',
+        containerMargin: '30px 0',
+        containerPadding: '0 15px',
+        wrapperPadding: '66px',
+        listMargin: '0 24px',
+        buttonSize: '36px',
+        buttonRadius: '50%',
+        badgeRadius: '3px',
+        cardRadius: '0'
+    });
+
+    const DEFAULT_OPTIONS = Object.freeze({
+        id: null,
+        mount: '.product-detail',
+        position: 'afterend',
+        order: 0,
+        title: null,
+        language: null,
+        messages: {},
+        dir: null,
+        source: CONFIG.API.URL,
+        productPageOnly: true,
+        loop: false,
+        slidesToScroll: 1,
+        pagination: 'dots',
+        autoplay: false,
+        autoplayDelay: CONFIG.UI.AUTOPLAY_DELAY,
+        onInvalidProducts: null,
+        emptyMessage: null,
+        wishlist: true,
+        openMode: 'newTab',
+        locale: null,
+        currency: 'TRY',
+        analytics: {
+            endpoint: null,
+            sink: null
+        },
+        shadow: false,
+        theme: {},
+        placeholder: CONFIG.UI.IMAGE_PLACEHOLDER,
+        imageSizes: CONFIG.UI.IMAGE_SIZES,
+        breakpoints: CONFIG.UI.BREAKPOINTS,
+        relevance: {
+            enabled: true,
+            limit: 12,
+            priceBand: 0.3,
+            strategies: [
+                { name: 'sameCategory', weight: 3 },
+                { name: 'priceBand', weight: 2 },
+                { name: 'favorites', weight: 1 }
+            ]
+        },
+        recentlyViewed: {
+            limit: CONFIG.HISTORY.LIMIT,
+            maxAge: CONFIG.HISTORY.MAX_AGE
+        },
+        cacheKey: null,
+        cacheBackend: 'localStorage'
+    });
+
+    const HEART_ICON = '<svg width="20" height="20" viewBox="0 0 24 24" aria-hidden="true" focusable="false"><path d="M20.84 4.61a5.5 5.5 0 0 0-7.78 0L12 5.67l-1.06-1.06a5.5 5.5 0 0 0-7.78 7.78l1.06 1.06L12 21.23l7.78-7.78 1.06-1.06a5.5 5.5 0 0 0 0-7.78z"/></svg>';
+
+    const RECENTLY_VIEWED_SOURCE = 'recentlyViewed';
+
+    const OPEN_MODES = ['newTab', 'sameTab', 'quickView'];
+
+    const PAGINATION_MODES = ['dots', 'fraction', false];
+
+    const CACHE_BACKENDS = ['localStorage', 'indexedDB'];
+
+    const INSERT_POSITIONS = ['beforebegin', 'afterbegin', 'beforeend', 'afterend'];
+
     class CarouselState {
         #products = [];
         #favorites = new Set();
         #currentIndex = 0;
         #visibleCount = 4;
         #isLoading = false;
+        #error = null;
+        #loop = false;
         #eventListeners = [];
 
         get products() { return [...this.#products]; }
@@ -47,6 +269,8 @@
         get currentIndex() { return this.#currentIndex; }
         get visibleCount() { return this.#visibleCount; }
         get isLoading() { return this.#isLoading; }
+        get error() { return this.#error; }
+        get loop() { return this.#loop; }
         get maxIndex() { return Math.max(0, this.#products.length - this.#visibleCount); }
 
         setProducts(products) {
@@ -59,9 +283,18 @@
         }
 
         setCurrentIndex(index) {
+            if (this.#loop) {
+                const adet = this.maxIndex + 1;
+                this.#currentIndex = ((index % adet) + adet) % adet;
+                return;
+            }
             this.#currentIndex = Math.max(0, Math.min(index, this.maxIndex));
         }
 
+        setLoop(loop) {
+            this.#loop = Boolean(loop);
+        }
+
         setVisibleCount(count) {
             this.#visibleCount = Math.max(1, count);
         }
@@ -70,11 +303,15 @@
             this.#isLoading = Boolean(loading);
         }
 
+        setError(error) {
+            this.#error = error || null;
+        }
+
         addFavorite(id) { this.#favorites.add(String(id)); }
         removeFavorite(id) { this.#favorites.delete(String(id)); }
         isFavorite(id) { return this.#favorites.has(String(id)); }
-        canGoNext() { return this.#currentIndex < this.maxIndex; }
-        canGoPrevious() { return this.#currentIndex > 0; }
+        canGoNext() { return (this.#loop && this.maxIndex > 0) || this.#currentIndex < this.maxIndex; }
+        canGoPrevious() { return (this.#loop && this.maxIndex > 0) || this.#currentIndex > 0; }
 
         addEventListener(element, event, handler, options = {}) {
             element.addEventListener(event, handler, options);
@@ -98,23 +335,157 @@
             };
         }
 
-        static async sleep(ms) {
-            return new Promise(resolve => setTimeout(resolve, ms));
+        static async sleep(ms, signal) {
+            return new Promise((resolve, reject) => {
+                if (signal?.aborted) return reject(this.abortReason(signal));
+
+                const iptal = () => {
+                    clearTimeout(zamanlayici);
+                    reject(this.abortReason(signal));
+                };
+                const zamanlayici = setTimeout(() => {
+                    signal?.removeEventListener('abort', iptal);
+                    resolve();
+                }, ms);
+                signal?.addEventListener('abort', iptal, { once: true });
+            });
+        }
+
+        static waitForOnline(signal) {
+            return new Promise((resolve, reject) => {
+                if (signal?.aborted) return reject(this.abortReason(signal));
+
+                const bitir = (hata) => {
+                    window.removeEventListener('online', cevrimici);
+                    signal?.removeEventListener('abort', iptal);
+                    hata ? reject(hata) : resolve();
+                };
+                const cevrimici = () => bitir();
+                const iptal = () => bitir(this.abortReason(signal));
+                window.addEventListener('online', cevrimici, { once: true });
+                signal?.addEventListener('abort', iptal, { once: true });
+            });
+        }
+
+        static abortable(promise, signal, onAbort) {
+            if (!signal) return promise;
+
+            return new Promise((resolve, reject) => {
+                const iptal = () => {
+                    onAbort?.();
+                    reject(this.abortReason(signal));
+                };
+                if (signal.aborted) return iptal();
+
+                signal.addEventListener('abort', iptal, { once: true });
+                promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', iptal));
+            });
+        }
+
+        static getPath(nesne, yol) {
+            return String(yol).split('.').reduce((deger, anahtar) => deger?.[anahtar], nesne);
+        }
+
+        static abortReason(signal) {
+            return signal.reason ?? new DOMException('The operation was aborted', 'AbortError');
+        }
+
+        static isAbortError(error) {
+            return error?.name === 'AbortError';
         }
 
         static sanitize(str) {
             const div = document.createElement('div');
             div.textContent = str;
-            return div.innerHTML;
+            return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
         }
 
-        static isValidURL(str) {
+        static resolveURL(str) {
+            if (typeof str !== 'string' || !str.trim()) return null;
             try {
-                new URL(str);
-                return true;
+                const url = new URL(str.trim(), window.location.href);
+                return ['http:', 'https:'].includes(url.protocol) ? url.href : null;
             } catch {
-                return false;
+                return null;
+            }
+        }
+
+        static isValidURL(str) {
+            return this.resolveURL(str) !== null;
+        }
+
+        static #formatters = new Map();
+
+        static #formatter(locale, options) {
+            const key = `${locale}|${JSON.stringify(options)}`;
+            if (!this.#formatters.has(key)) {
+                this.#formatters.set(key, new Intl.NumberFormat(locale, options));
+            }
+            return this.#formatters.get(key);
+        }
+
+        static formatPrice(value, locale, currency) {
+            return this.#formatter(locale, { style: 'currency', currency }).format(value);
+        }
+
+        static formatPercent(ratio, locale) {
+            return this.#formatter(locale, { style: 'percent', maximumFractionDigits: 0, signDisplay: 'always' }).format(ratio);
+        }
+
+        static kebabCase(str) {
+            return String(str).replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase();
+        }
+
+        static hash(str) {
+            let hash = 5381;
+            for (let i = 0; i < str.length; i++) {
+                hash = ((hash << 5) + hash + str.charCodeAt(i)) | 0;
+            }
+            return (hash >>> 0).toString(36);
+        }
+    }
+
+    class EventEmitter {
+        #handlers = new Map();
+
+        on(type, handler) {
+            if (typeof handler !== 'function') throw new TypeError('Handler must be a function');
+            if (!this.#handlers.has(type)) this.#handlers.set(type, new Set());
+            this.#handlers.get(type).add(handler);
+            return () => this.off(type, handler);
+        }
+
+        off(type, handler) {
+            if (!handler) {
+                this.#handlers.delete(type);
+                return;
             }
+            this.#handlers.get(type)?.delete(handler);
+        }
+
+        emit(type, detail = {}, { cancelable = false } = {}) {
+            let defaultPrevented = false;
+            const event = {
+                type,
+                ...detail,
+                cancelable,
+                get defaultPrevented() { return defaultPrevented; },
+                preventDefault() { if (cancelable) defaultPrevented = true; }
+            };
+
+            [...(this.#handlers.get(type) || [])].forEach(handler => {
+                try {
+                    handler(event);
+                } catch (error) {
+                    console.error(logMessage('logHandlerFailed', { type }), error);
+                }
+            });
+
+            return event;
+        }
+
+        clear() {
+            this.#handlers.clear();
         }
     }
 
@@ -129,200 +500,2209 @@
         }
 
         static set(key, value) {
+            let json;
             try {
-                localStorage.setItem(key, JSON.stringify(value));
+                json = JSON.stringify(value);
+                localStorage.setItem(key, json);
                 return true;
+            } catch (error) {
+                if (!this.#isQuotaError(error)) return false;
+            }
+
+            for (const aday of this.#evictionCandidates(key)) {
+                this.remove(aday);
+                try {
+                    localStorage.setItem(key, json);
+                    return true;
+                } catch (error) {
+                    if (!this.#isQuotaError(error)) return false;
+                }
+            }
+
+            console.warn(logMessage('logStorageQuota', { key }));
+            return false;
+        }
+
+        static size(key) {
+            try {
+                return localStorage.getItem(key)?.length ?? 0;
             } catch {
-                return false;
+                return 0;
             }
         }
 
-        static isCacheValid() {
-            const timestamp = this.get(CONFIG.CACHE.KEYS.TIMESTAMP);
-            if (!timestamp) return false;
-            return (Date.now() - timestamp) < CONFIG.CACHE.DURATION;
+        static keys(prefix = '') {
+            try {
+                return Object.keys(localStorage).filter(key => key.startsWith(prefix));
+            } catch {
+                return [];
+            }
         }
-    }
 
-    class ApiClient {
-        static async fetchWithRetry(url, retryCount = 0) {
+        static remove(key) {
             try {
-                const controller = new AbortController();
-                setTimeout(() => controller.abort(), CONFIG.API.TIMEOUT);
-                
-                const response = await fetch(url, { signal: controller.signal });
-                if (!response.ok) throw new Error(`HTTP ${response.status}`);
-                
-                return response;
-            } catch (error) {
-                if (retryCount < CONFIG.API.RETRY_ATTEMPTS) {
-                    await Utils.sleep(CONFIG.API.RETRY_DELAY * (retryCount + 1));
-                    return this.fetchWithRetry(url, retryCount + 1);
+                localStorage.removeItem(key);
+                return true;
+            } catch {
+                return false;
+            }
+        }
+
+        static #isQuotaError(error) {
+            return error instanceof DOMException && (
+                error.name === 'QuotaExceededError' ||
+                error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+                error.code === 22 ||
+                error.code === 1014
+            );
+        }
+
+        static #evictionCandidates(korunan) {
+            const onek = CONFIG.CACHE.KEYS.PRODUCTS;
+            const adaylar = [];
+
+            for (let i = 0; i < localStorage.length; i++) {
+                const key = localStorage.key(i);
+                if (key !== korunan && key.startsWith(onek)) {
+                    adaylar.push({ key, t: this.get(key)?.t ?? -Infinity });
                 }
-                throw error;
             }
+
+            return adaylar.sort((a, b) => a.t - b.t).map(({ key }) => key);
+        }
+    }
+
+    class IdbStore {
+        static #db = null;
+
+        static get isAvailable() {
+            return typeof indexedDB !== 'undefined';
+        }
+
+        static #open() {
+            if (!this.#db) {
+                this.#db = new Promise((resolve, reject) => {
+                    const istek = indexedDB.open(CONFIG.CACHE.IDB.NAME, 1);
+                    istek.onupgradeneeded = () => istek.result.createObjectStore(CONFIG.CACHE.IDB.STORE);
+                    istek.onsuccess = () => resolve(istek.result);
+                    istek.onerror = () => reject(istek.error);
+                });
+                this.#db.catch(() => { this.#db = null; });
+            }
+            return this.#db;
         }
 
-        static async getProducts() {
-            const response = await this.fetchWithRetry(CONFIG.API.URL);
-            const data = await response.json();
-            return data.products || data;
+        static async #request(mode, islem) {
+            const db = await this.#open();
+            return new Promise((resolve, reject) => {
+                const store = db.transaction(CONFIG.CACHE.IDB.STORE, mode).objectStore(CONFIG.CACHE.IDB.STORE);
+                const istek = islem(store);
+                istek.onsuccess = () => resolve(istek.result);
+                istek.onerror = () => reject(istek.error);
+            });
         }
+
+        static get(key) { return this.#request('readonly', store => store.get(key)); }
+        static set(key, value) { return this.#request('readwrite', store => store.put(value, key)); }
+        static remove(key) { return this.#request('readwrite', store => store.delete(key)); }
     }
 
-    class ProductCarousel {
-        #state = new CarouselState();
+    class ProductCache {
+        static #useIdb(backend) {
+            return backend === 'indexedDB' && IdbStore.isAvailable;
+        }
 
-        constructor() {
-            this.#initialize();
+        static async read(key, backend) {
+            let entry = null;
+            try {
+                entry = this.#useIdb(backend) ? await IdbStore.get(key) : Storage.get(key);
+            } catch {
+                return null;
+            }
+            if (!entry) return null;
+
+            const age = Date.now() - entry.t;
+            if (entry.v !== CONFIG.CACHE.VERSION || !Array.isArray(entry.data) || !(age < CONFIG.CACHE.MAX_AGE)) {
+                await this.remove(key, backend);
+                return null;
+            }
+
+            return { data: entry.data, age, stale: age >= CONFIG.CACHE.DURATION, etag: entry.etag ?? null };
         }
 
-        async #initialize() {
+        static async write(key, data, backend, etag = null) {
+            const entry = { v: CONFIG.CACHE.VERSION, t: Date.now(), data, etag };
+            if (!this.#useIdb(backend)) return Storage.set(key, entry);
+
             try {
-                if (!this.#isProductPage()) {
-                    console.log('bu kod sadece urun sayfalarinda calisir');
-                    return;
-                }
+                await IdbStore.set(key, entry);
+                return true;
+            } catch {
+                return false;
+            }
+        }
 
-                await this.#loadData();
-                this.#render();
-                this.#setupEvents();
-                this.#handleResponsive();
-                
-                console.log('Carousel initialized');
-            } catch (error) {
-                console.error('Initialization failed:', error);
+        static async remove(key, backend) {
+            if (!this.#useIdb(backend)) {
+                Storage.remove(key);
+                return;
             }
+            await IdbStore.remove(key).catch(() => {});
         }
+    }
 
-        #isProductPage() {
-            return window.location.href.includes('/p-') || 
-                   document.querySelector('.product-detail');
+    class HttpError extends Error {
+        constructor(status, retryAfter = null) {
+            super(`HTTP ${status}`);
+            this.name = 'HttpError';
+            this.status = status;
+            this.retryAfter = retryAfter;
         }
+    }
 
-        async #loadData() {
-            this.#state.setLoading(true);
+    class ApiClient {
+        static #inflight = new Map();
+        static #lastRequest = null;
+        static #simulation = null;
 
-            try {
-                const favorites = Storage.get(CONFIG.CACHE.KEYS.FAVORITES, []);
-                this.#state.setFavorites(favorites);
+        static get lastRequest() {
+            return this.#lastRequest && { ...this.#lastRequest };
+        }
 
-                let products;
-                if (Storage.isCacheValid()) {
-                    products = Storage.get(CONFIG.CACHE.KEYS.PRODUCTS);
-                    console.log('urunler onceden yuklendi');
-                }
+        static get simulation() {
+            return this.#simulation;
+        }
 
-                if (!products) {
-                    products = await ApiClient.getProducts();
-                    Storage.set(CONFIG.CACHE.KEYS.PRODUCTS, products);
-                    Storage.set(CONFIG.CACHE.KEYS.TIMESTAMP, Date.now());
+        static simulate(mode) {
+            if (mode !== null && !['failure', 'empty'].includes(mode)) throw new RangeError(`Invalid simulation: ${mode}`);
+            this.#simulation = mode;
+        }
+
+        static async fetchWithRetry(url, { signal, headers = {} } = {}) {
+            const baslangic = performance.now();
+            const kayit = { url, status: null, retries: 0, duration: 0, error: null, at: Date.now() };
+            this.#lastRequest = kayit;
+
+            for (let deneme = 0; ; deneme++) {
+                kayit.retries = deneme;
+                try {
+                    const response = await this.#attempt(url, signal, headers);
+                    kayit.status = response.status;
+                    kayit.error = null;
+                    return response;
+                } catch (error) {
+                    kayit.status = error.status ?? null;
+                    kayit.error = error.message;
+                    if (signal?.aborted || deneme >= CONFIG.API.RETRY_ATTEMPTS || !this.#isRetryable(error)) throw error;
+                    await Utils.sleep(this.#retryDelay(deneme, error), signal);
+                } finally {
+                    kayit.duration = Math.round(performance.now() - baslangic);
                 }
+            }
+        }
 
-                this.#state.setProducts(products);
+        static async #attempt(url, signal, headers) {
+            if (signal?.aborted) throw Utils.abortReason(signal);
+            if (navigator.onLine === false) await Utils.waitForOnline(signal);
+            if (this.#simulation === 'failure') throw new TypeError('Simulated network failure');
+
+            const controller = new AbortController();
+            const zamanAsimiHatasi = new DOMException('Request timed out', 'TimeoutError');
+            const zamanAsimi = setTimeout(() => controller.abort(zamanAsimiHatasi), CONFIG.API.TIMEOUT);
+            const iptal = () => controller.abort(Utils.abortReason(signal));
+            signal?.addEventListener('abort', iptal, { once: true });
+
+            try {
+                const response = await fetch(url, { signal: controller.signal, headers });
+                if (!response.ok && response.status !== 304) {
+                    throw new HttpError(response.status, this.#parseRetryAfter(response.headers.get('Retry-After')));
+                }
+                return response;
+            } catch (error) {
+                if (controller.signal.reason === zamanAsimiHatasi && !signal?.aborted) throw zamanAsimiHatasi;
+                throw error;
             } finally {
-                this.#state.setLoading(false);
+                clearTimeout(zamanAsimi);
+                signal?.removeEventListener('abort', iptal);
             }
         }
 
-        #render() {
-            const existing = document.querySelector('.benzer-urunler-container');
+        static #isRetryable(error) {
+            if (!(error instanceof HttpError)) return true;
+            if (error.status !== 429 && error.status < 500) return false;
+            return !(error.retryAfter > CONFIG.API.MAX_RETRY_DELAY);
+        }
 
-            if (existing) existing.remove();
+        static #retryDelay(deneme, error) {
+            if (error.retryAfter != null) return error.retryAfter;
 
-            const container = document.createElement('div');
-            container.className = 'benzer-urunler-container';
-            
-            let icerik = '<div class="benzer-urunler-baslik"><h2> Bunları da Beğenebilirsiniz</h2></div>';
-            icerik += '<div class="carousel-wrapper">';
-            icerik += '<button class="carousel-btn sol-btn"><</button>';
-            icerik += '<div class="urunler-listesi"><div class="urunler-ic">';
+            const taban = Math.min(CONFIG.API.RETRY_DELAY * 2 ** deneme, CONFIG.API.MAX_RETRY_DELAY);
+            return taban / 2 + Math.random() * taban / 2;
+        }
 
-            for (let i = 0; i < this.#state.products.length; i++) {
-                const urun = this.#state.products[i];
-                const favorideMi = this.#state.isFavorite(urun.id);
-                
-                icerik += `
-                    <div class="urun-kart" data-index="${i}">
-                        <div class="urun-gorsel">
-                            <img src="${urun.img}" alt="${Utils.sanitize(urun.name)}">
-                            <button class="favori-btn ${favorideMi ? 'aktif' : ''}" data-id="${urun.id}">
-                                <svg width="20" height="20" viewBox="0 0 24 24">
-                                    <path d="M20.84 4.61a5.5 5.5 0 0 0-7.78 0L12 5.67l-1.06-1.06a5.5 5.5 0 0 0-7.78 7.78l1.06 1.06L12 21.23l7.78-7.78 1.06-1.06a5.5 5.5 0 0 0 0-7.78z"/>
-                                </svg>
-                            </button>
-                        </div>
-                        <div class="urun-bilgi">
-                            <div class="urun-ad">${Utils.sanitize(urun.name)}</div>
-                            <div class="urun-fiyat">${urun.price} TL</div>
-                        </div>
-                    </div>
-                `;
-            }
-            
-            icerik += '</div></div>';
-            icerik += '<button class="carousel-btn sag-btn">></button>';
-            icerik += '</div>';
-            
-            container.innerHTML = icerik;
+        static #parseRetryAfter(value) {
+            if (!value) return null;
+
+            const saniye = Number(value);
+            if (Number.isFinite(saniye)) return Math.max(0, saniye * 1000);
+
+            const tarih = Date.parse(value);
+            return Number.isNaN(tarih) ? null : Math.max(0, tarih - Date.now());
+        }
+
+        static getJSON(url, { signal, etag = null } = {}) {
+            const key = `${url}|${etag ?? ''}`;
+            let istek = this.#inflight.get(key);
 
-            const hedef = document.querySelector('.product-detail');
-            if (hedef) {
-                hedef.parentNode.insertBefore(container, hedef.nextSibling);
+            if (!istek || istek.controller.signal.aborted) {
+                const controller = new AbortController();
+                const yeni = { controller, users: 0 };
+                yeni.promise = this.#request(url, etag, controller.signal).finally(() => this.#release(key, yeni));
+                istek = yeni;
+                this.#inflight.set(key, istek);
             }
 
-            this.#addStyles();
+            istek.users++;
+            return Utils.abortable(istek.promise, signal, () => {
+                if (--istek.users > 0) return;
+                this.#release(key, istek);
+                istek.controller.abort();
+            });
         }
 
-        #addStyles() {
-            const existing = document.querySelector('.lcw-carousel-styles');
-            if (existing) existing.remove();
+        static #release(key, istek) {
+            if (this.#inflight.get(key) === istek) this.#inflight.delete(key);
+        }
 
-            const stil = document.createElement('style');
-            stil.className = 'lcw-carousel-styles';
+        static async #request(url, etag, signal) {
+            if (this.#simulation === 'empty') {
+                this.#lastRequest = { url, status: 200, retries: 0, duration: 0, error: null, at: Date.now() };
+                return { data: [], etag: null, notModified: false };
+            }
 
-            stil.textContent = `
-                .benzer-urunler-container {
-                    margin: 30px 0;
-                    padding: 0 15px;
-                    background-color: #f4f5f7;
-                }
-                
-                .benzer-urunler-baslik h2 {
-                    font-size: 22px;
-                    margin-bottom: 20px;
-                    font-weight: normal;
-                    color: #333;
-                }
-                
-                .carousel-wrapper {
-                    position: relative;
-                    padding: 66px;
+            const headers = etag ? { 'If-None-Match': etag } : {};
+            const response = await this.fetchWithRetry(url, { signal, headers });
+            if (response.status === 304) return { data: null, etag, notModified: true };
+
+            return { data: await response.json(), etag: response.headers.get('ETag'), notModified: false };
+        }
+    }
+
+    class DataSources {
+        static #types = {
+            remote: (source) => {
+                if (!Utils.isValidURL(source.url)) throw new TypeError('Remote source needs an http(s) url');
+                return {
+                    key: source.url,
+                    cache: true,
+                    load: async ({ signal, etag }) => {
+                        const sonuc = await ApiClient.getJSON(source.url, { signal, etag });
+                        if (sonuc.notModified) return sonuc;
+                        return { items: DataSources.extract(sonuc.data, source.path), etag: sonuc.etag };
+                    }
+                };
+            },
+            inline: (source) => {
+                const selector = source.selector ?? 'script[type="application/json"][data-lcw-products]';
+                return {
+                    cache: false,
+                    load: async () => {
+                        const eleman = document.querySelector(selector);
+                        if (!eleman) throw new Error(`Inline source not found: ${selector}`);
+                        return { items: DataSources.extract(JSON.parse(eleman.textContent), source.path) };
+                    }
+                };
+            },
+            jsonLd: () => ({
+                cache: false,
+                load: async () => ({ items: DataSources.scrapeJsonLd() })
+            }),
+            function: (source) => {
+                if (typeof source.load !== 'function') throw new TypeError('Function source needs a load function');
+                return {
+                    key: source.key,
+                    cache: true,
+                    load: async ({ signal }) => ({ items: await source.load({ signal }) })
+                };
+            },
+            [RECENTLY_VIEWED_SOURCE]: () => ({
+                cache: false,
+                load: async ({ options }) => {
+                    const { limit, maxAge } = options.recentlyViewed;
+                    const gecmis = RecentlyViewed.list({ limit: Infinity, maxAge });
+                    const { id } = Recommender.detectCurrentProduct(gecmis);
+                    return { items: gecmis.filter(urun => String(urun?.id) !== id).slice(0, limit) };
                 }
-                
-                .urunler-listesi {
-                    overflow: hidden;
-                    margin: 0px 24px;
+            })
+        };
+
+        static register(type, factory) {
+            if (typeof factory !== 'function') throw new TypeError('Source factory must be a function');
+            this.#types[type] = factory;
+        }
+
+        static describe(source) {
+            if (source === RECENTLY_VIEWED_SOURCE) return { type: RECENTLY_VIEWED_SOURCE };
+            if (typeof source === 'string') return { type: 'remote', url: source };
+            if (typeof source === 'function') return { type: 'function', load: source };
+            if (source && typeof source === 'object' && typeof source.type === 'string') return source;
+            throw new TypeError('Source must be a URL, a function or an adapter description');
+        }
+
+        static create(source, id) {
+            const tanim = this.describe(source);
+            const factory = this.#types[tanim.type];
+            if (!factory) throw new TypeError(`Unknown source type: ${tanim.type}`);
+
+            const adapter = factory(tanim, id);
+            return {
+                type: tanim.type,
+                cacheKey: adapter.cache ? this.#cacheKey(tanim.type, adapter.key ?? id) : null,
+                load: async (ctx) => {
+                    const sonuc = await adapter.load(ctx);
+                    if (sonuc.notModified) return { items: null, etag: sonuc.etag ?? null, notModified: true };
+                    if (!Array.isArray(sonuc.items)) throw new TypeError('Products must be array');
+
+                    return {
+                        items: sonuc.items.map(kayit => this.mapRecord(kayit, tanim.fields)),
+                        etag: sonuc.etag ?? null,
+                        notModified: false
+                    };
                 }
-                
-                .urunler-ic {
-                    display: flex;
-                    gap: 15px;
-                    transition: transform 0.3s;
+            };
+        }
+
+        static #cacheKey(type, key) {
+            if (type === 'remote' && key === CONFIG.API.URL) return CONFIG.CACHE.KEYS.PRODUCTS;
+            return `${CONFIG.CACHE.KEYS.PRODUCTS}:${type}:${Utils.hash(String(key))}`;
+        }
+
+        static extract(data, path) {
+            const liste = path ? Utils.getPath(data, path) : (Array.isArray(data) ? data : data?.products);
+            if (!Array.isArray(liste)) throw new TypeError('Unexpected product feed shape');
+            return liste;
+        }
+
+        static mapRecord(kayit, fields) {
+            if (!fields || !kayit || typeof kayit !== 'object') return kayit;
+
+            const urun = { ...kayit };
+            Object.entries(fields).forEach(([alan, yol]) => {
+                urun[alan] = typeof yol === 'function' ? yol(kayit) : Utils.getPath(kayit, yol);
+            });
+            return urun;
+        }
+
+        static scrapeJsonLd(root = document) {
+            const urunler = [];
+            const gez = (dugum) => {
+                if (Array.isArray(dugum)) {
+                    dugum.forEach(gez);
+                    return;
                 }
-                
-                .urun-kart {
-                    flex: 0 0 calc(25% - 40.25px);
-                    cursor: pointer;
+                if (!dugum || typeof dugum !== 'object') return;
+
+                const tipler = [].concat(dugum['@type'] ?? []);
+                if (dugum['@graph']) gez(dugum['@graph']);
+                if (tipler.includes('Product')) {
+                    urunler.push(this.#fromJsonLd(dugum));
+                } else if (tipler.includes('ItemList')) {
+                    [].concat(dugum.itemListElement ?? []).forEach(oge => gez(oge?.item ?? oge));
                 }
-                
-                .urun-kart:hover {
-                    transform: translateY(-2px);
+            };
+
+            root.querySelectorAll('script[type="application/ld+json"]').forEach(betik => {
+                try {
+                    gez(JSON.parse(betik.textContent));
+                } catch (error) {
+                    console.warn(logMessage('logJsonLdSkipped'), error);
+                }
+            });
+            return urunler;
+        }
+
+        static #fromJsonLd(urun) {
+            const teklif = [].concat(urun.offers ?? [])[0] ?? {};
+            const gorsel = [].concat(urun.image ?? [])[0];
+
+            return {
+                id: urun.sku ?? urun.productID ?? urun['@id'] ?? urun.url,
+                name: urun.name,
+                img: typeof gorsel === 'object' ? gorsel?.url : gorsel,
+                price: teklif.price ?? teklif.lowPrice,
+                url: urun.url ?? teklif.url,
+                category: typeof urun.category === 'object' ? urun.category?.name ?? null : urun.category ?? null
+            };
+        }
+    }
+
+    class ProductValidator {
+        static normalize(items) {
+            if (!Array.isArray(items)) throw new TypeError('Products must be array');
+
+            const products = [];
+            const rejected = [];
+            const gorulen = new Set();
+
+            items.forEach((item, index) => {
+                const reason = this.#check(item);
+                if (reason) {
+                    rejected.push({ index, id: item?.id ?? null, reason, item });
+                    return;
+                }
+
+                const urun = this.#normalizeItem(item);
+                if (gorulen.has(urun.id)) {
+                    rejected.push({ index, id: urun.id, reason: 'duplicate-id', item });
+                    return;
+                }
+
+                gorulen.add(urun.id);
+                products.push(urun);
+            });
+
+            return { products, rejected, total: items.length };
+        }
+
+        static parsePrice(value) {
+            if (typeof value === 'number') return Number.isFinite(value) ? value : NaN;
+            if (typeof value !== 'string') return NaN;
+
+            let temiz = value.replace(/[^\d.,-]/g, '');
+            const sonNokta = temiz.lastIndexOf('.');
+            const sonVirgul = temiz.lastIndexOf(',');
+
+            if (sonVirgul > sonNokta) {
+                temiz = temiz.replace(/\./g, '').replace(',', '.');
+            } else if (sonVirgul === -1 && /^-?[1-9]\d{0,2}(\.\d{3})+$/.test(temiz)) {
+                temiz = temiz.replace(/\./g, '');
+            } else {
+                temiz = temiz.replace(/,/g, '');
+            }
+
+            return temiz ? Number(temiz) : NaN;
+        }
+
+        static #check(item) {
+            if (!item || typeof item !== 'object') return 'not-an-object';
+            if (!['string', 'number'].includes(typeof item.id) || String(item.id).trim() === '') return 'missing-id';
+            if (typeof item.name !== 'string' || item.name.trim() === '') return 'missing-name';
+
+            const fiyat = this.parsePrice(item.price);
+            if (!Number.isFinite(fiyat) || fiyat < 0) return 'invalid-price';
+            if (!Utils.isValidURL(item.img)) return 'invalid-img';
+            if (item.url != null && !Utils.isValidURL(item.url)) return 'invalid-url';
+            return null;
+        }
+
+        static #normalizeSrcset(srcset) {
+            if (typeof srcset !== 'string' || !srcset.trim()) return null;
+            const adaylar = srcset.split(',').map(aday => aday.trim().split(/\s+/));
+            if (!adaylar.every(([url]) => Utils.isValidURL(url))) return null;
+            return adaylar.map(([url, ...tanim]) => [Utils.resolveURL(url), ...tanim].join(' ')).join(', ');
+        }
+
+        static #normalizeItem(item) {
+            const price = this.parsePrice(item.price);
+            const original = this.parsePrice(item.original_price);
+
+            return {
+                ...item,
+                id: String(item.id).trim(),
+                name: item.name.trim(),
+                price,
+                original_price: Number.isFinite(original) && original > price ? original : null,
+                img: Utils.resolveURL(item.img),
+                srcset: this.#normalizeSrcset(item.srcset),
+                url: item.url != null ? Utils.resolveURL(item.url) : null,
+                category: item.category != null ? String(item.category) : null
+            };
+        }
+    }
+
+    class FavoritesStore {
+        static #items = null;
+        static #listeners = new Set();
+        static #channel = null;
+
+        static #ensure() {
+            if (this.#items) return;
+            this.#items = this.#read();
+
+            window.addEventListener('storage', (e) => {
+                if (e.key === CONFIG.CACHE.KEYS.FAVORITES || e.key === null) this.#sync();
+            });
+
+            if (typeof BroadcastChannel !== 'undefined') {
+                this.#channel = new BroadcastChannel(CONFIG.CACHE.KEYS.FAVORITES);
+                this.#channel.onmessage = () => this.#sync();
+            }
+        }
+
+        static #read() {
+            const kayitlar = Storage.get(CONFIG.CACHE.KEYS.FAVORITES, []);
+            const items = new Map();
+            if (!Array.isArray(kayitlar)) return items;
+
+            kayitlar.forEach(kayit => {
+                if (typeof kayit === 'string' || typeof kayit === 'number') {
+                    items.set(String(kayit), null);
+                } else if (kayit?.id != null) {
+                    items.set(String(kayit.id), Number(kayit.addedAt) || null);
+                }
+            });
+            return items;
+        }
+
+        static #persist() {
+            Storage.set(CONFIG.CACHE.KEYS.FAVORITES, this.list());
+            this.#channel?.postMessage({ type: 'change' });
+        }
+
+        static #sync() {
+            const onceki = this.#items;
+            this.#items = this.#read();
+
+            new Set([...onceki.keys(), ...this.#items.keys()]).forEach(id => {
+                if (onceki.has(id) !== this.#items.has(id)) {
+                    this.#emit(id, 'remote');
+                }
+            });
+        }
+
+        static #emit(id, source) {
+            const degisiklik = {
+                id,
+                favorite: this.#items.has(id),
+                addedAt: this.#items.get(id) ?? null,
+                source
+            };
+            this.#listeners.forEach(listener => {
+                try {
+                    listener(degisiklik);
+                } catch (error) {
+                    console.error(logMessage('logFavoritesListenerFailed'), error);
+                }
+            });
+        }
+
+        static ids() {
+            this.#ensure();
+            return [...this.#items.keys()];
+        }
+
+        static list() {
+            this.#ensure();
+            return [...this.#items].map(([id, addedAt]) => ({ id, addedAt }));
+        }
+
+        static has(id) {
+            this.#ensure();
+            return this.#items.has(String(id));
+        }
+
+        static add(id) {
+            this.#ensure();
+            id = String(id);
+            if (this.#items.has(id)) return;
+            this.#items.set(id, Date.now());
+            this.#persist();
+            this.#emit(id, 'local');
+        }
+
+        static remove(id) {
+            this.#ensure();
+            id = String(id);
+            if (!this.#items.delete(id)) return;
+            this.#persist();
+            this.#emit(id, 'local');
+        }
+
+        static toggle(id) {
+            if (this.has(id)) this.remove(id);
+            else this.add(id);
+            return this.has(id);
+        }
+
+        static subscribe(listener) {
+            if (typeof listener !== 'function') throw new TypeError('Listener must be a function');
+            this.#ensure();
+            this.#listeners.add(listener);
+            return () => this.unsubscribe(listener);
+        }
+
+        static unsubscribe(listener) {
+            this.#listeners.delete(listener);
+        }
+    }
+
+    class RecentlyViewed {
+        static #listeners = new Set();
+
+        static #read(maxAge = Infinity) {
+            const kayitlar = Storage.get(CONFIG.CACHE.KEYS.RECENTLY_VIEWED, []);
+            if (!Array.isArray(kayitlar)) return [];
+
+            const simdi = Date.now();
+            return kayitlar.filter(kayit => kayit?.product && simdi - kayit.viewedAt < maxAge);
+        }
+
+        static #emit() {
+            this.#listeners.forEach(listener => {
+                try {
+                    listener(this.list());
+                } catch (error) {
+                    console.error(logMessage('logHistoryListenerFailed'), error);
+                }
+            });
+        }
+
+        static list({ limit = CONFIG.HISTORY.LIMIT, maxAge = CONFIG.HISTORY.MAX_AGE } = {}) {
+            return this.#read(maxAge).slice(0, limit).map(kayit => kayit.product);
+        }
+
+        static record(urun) {
+            const kayitlar = this.#read().filter(kayit => String(kayit.product.id) !== String(urun.id));
+            kayitlar.unshift({ viewedAt: Date.now(), product: urun });
+
+            const yazildi = Storage.set(CONFIG.CACHE.KEYS.RECENTLY_VIEWED, kayitlar.slice(0, CONFIG.HISTORY.STORAGE_LIMIT));
+            this.#emit();
+            return yazildi;
+        }
+
+        static clear() {
+            Storage.remove(CONFIG.CACHE.KEYS.RECENTLY_VIEWED);
+            this.#emit();
+        }
+
+        static subscribe(listener) {
+            if (typeof listener !== 'function') throw new TypeError('Listener must be a function');
+            this.#listeners.add(listener);
+            return () => this.#listeners.delete(listener);
+        }
+    }
+
+    class Recommender {
+        static #strategies = {
+            sameCategory: (urun, ctx) => (ctx.category && String(urun.category) === ctx.category ? 1 : 0),
+            priceBand: (urun, ctx) => {
+                const fiyat = Number(urun.price);
+                if (!ctx.price || !Number.isFinite(fiyat)) return 0;
+                const fark = Math.abs(fiyat - ctx.price) / ctx.price;
+                return fark <= ctx.priceBand ? 1 - fark / ctx.priceBand : 0;
+            },
+            favorites: (urun, ctx) => (ctx.favorites.has(String(urun.id)) ? 1 : 0)
+        };
+
+        static registerStrategy(name, score) {
+            if (typeof score !== 'function') throw new TypeError('Strategy must be a function');
+            this.#strategies[name] = score;
+        }
+
+        static detectCurrentProduct(products = []) {
+            const detay = document.querySelector('.product-detail');
+            const yol = window.location.pathname;
+            const urlId = yol.match(/\/p-([^/?#]+)/)?.[1] ?? null;
+            const id = detay?.dataset.productId || urlId;
+
+            const eslesen = products.find(urun => {
+                if (id && String(urun.id) === id) return true;
+                return Utils.isValidURL(urun.url) && new URL(Utils.resolveURL(urun.url)).pathname === yol;
+            });
+
+            const fiyat = Number(detay?.dataset.price ?? eslesen?.price);
+
+            return {
+                id: eslesen ? String(eslesen.id) : id,
+                category: detay?.dataset.category || (eslesen?.category != null ? String(eslesen.category) : null),
+                price: Number.isFinite(fiyat) && fiyat > 0 ? fiyat : null
+            };
+        }
+
+        static rank(products, options, favorites = []) {
+            const mevcut = this.detectCurrentProduct(products);
+            const ctx = { ...mevcut, priceBand: options.priceBand, favorites: new Set(favorites.map(String)) };
+
+            const stratejiler = options.strategies.map(strateji => {
+                const tanim = typeof strateji === 'string' ? { name: strateji } : strateji;
+                const score = tanim.score || this.#strategies[tanim.name];
+                if (typeof score !== 'function') throw new Error(`Unknown strategy: ${tanim.name}`);
+                return { score, weight: tanim.weight ?? 1 };
+            });
+
+            return products
+                .filter(urun => !mevcut.id || String(urun.id) !== mevcut.id)
+                .map((urun, sira) => ({
+                    urun,
+                    sira,
+                    puan: stratejiler.reduce((toplam, { score, weight }) => toplam + weight * (Number(score(urun, ctx)) || 0), 0)
+                }))
+                .sort((a, b) => b.puan - a.puan || a.sira - b.sira)
+                .slice(0, options.limit > 0 ? options.limit : undefined)
+                .map(({ urun }) => urun);
+        }
+    }
+
+    class BeaconSink {
+        static #sinks = new Map();
+
+        #endpoint;
+        #queue = [];
+
+        constructor(endpoint) {
+            this.#endpoint = endpoint;
+            window.addEventListener('pagehide', () => this.flush());
+            document.addEventListener('visibilitychange', () => {
+                if (document.visibilityState === 'hidden') this.flush();
+            });
+        }
+
+        static for(endpoint) {
+            if (!this.#sinks.has(endpoint)) this.#sinks.set(endpoint, new BeaconSink(endpoint));
+            return this.#sinks.get(endpoint);
+        }
+
+        send(event) {
+            this.#queue.push(event);
+            if (this.#queue.length >= CONFIG.ANALYTICS.BATCH_SIZE) this.flush();
+        }
+
+        flush() {
+            if (!this.#queue.length) return;
+
+            const body = JSON.stringify({ events: this.#queue.splice(0) });
+            const blob = new Blob([body], { type: 'text/plain;charset=UTF-8' });
+            if (navigator.sendBeacon?.(this.#endpoint, blob)) return;
+
+            fetch(this.#endpoint, { method: 'POST', body, keepalive: true }).catch(() => {});
+        }
+    }
+
+    class CarouselAnalytics {
+        #carouselId;
+        #sink;
+        #resolve;
+        #observer = null;
+        #timers = new Map();
+        #seen = new Set();
+
+        constructor(carouselId, options, resolve) {
+            this.#carouselId = carouselId;
+            this.#resolve = resolve;
+
+            if (typeof options.sink === 'function') {
+                this.#sink = { send: options.sink };
+            } else if (typeof options.sink?.send === 'function') {
+                this.#sink = options.sink;
+            } else if (options.endpoint) {
+                this.#sink = BeaconSink.for(options.endpoint);
+            }
+        }
+
+        get enabled() { return Boolean(this.#sink); }
+
+        track(type, { productId = null, position = null, ...data } = {}) {
+            if (!this.#sink) return;
+            try {
+                this.#sink.send({
+                    type,
+                    carouselId: this.#carouselId,
+                    productId,
+                    position,
+                    timestamp: Date.now(),
+                    ...data
+                });
+            } catch (error) {
+                console.error(logMessage('logAnalyticsFailed'), error);
+            }
+        }
+
+        observe(kart) {
+            if (!this.#sink || typeof IntersectionObserver === 'undefined') return;
+            if (this.#seen.has(this.#resolve(kart)?.productId)) return;
+
+            if (!this.#observer) {
+                this.#observer = new IntersectionObserver(
+                    girdiler => girdiler.forEach(girdi => this.#handleIntersection(girdi)),
+                    { threshold: CONFIG.ANALYTICS.IMPRESSION_THRESHOLD }
+                );
+            }
+            this.#observer.observe(kart);
+        }
+
+        unobserve(kart) {
+            this.#observer?.unobserve(kart);
+            clearTimeout(this.#timers.get(kart));
+            this.#timers.delete(kart);
+        }
+
+        disconnect() {
+            this.#observer?.disconnect();
+            this.#observer = null;
+            this.#timers.forEach(timer => clearTimeout(timer));
+            this.#timers.clear();
+        }
+
+        reset() {
+            this.disconnect();
+            this.#seen.clear();
+        }
+
+        #handleIntersection({ target, isIntersecting, intersectionRatio }) {
+            if (!isIntersecting || intersectionRatio < CONFIG.ANALYTICS.IMPRESSION_THRESHOLD) {
+                clearTimeout(this.#timers.get(target));
+                this.#timers.delete(target);
+                return;
+            }
+            if (this.#timers.has(target)) return;
+
+            this.#timers.set(target, setTimeout(() => {
+                this.#timers.delete(target);
+                const bilgi = this.#resolve(target);
+                if (!bilgi || this.#seen.has(bilgi.productId)) return;
+
+                this.#seen.add(bilgi.productId);
+                this.#observer?.unobserve(target);
+                this.track('impression', bilgi);
+            }, CONFIG.ANALYTICS.IMPRESSION_DELAY));
+        }
+    }
+
+    class I18n {
+        #language;
+        #messages;
+
+        constructor(language, overrides = {}) {
+            this.#language = I18n.resolveLanguage(language);
+            this.#messages = { ...MESSAGES[DEFAULT_LANGUAGE], ...MESSAGES[this.#language], ...overrides };
+        }
+
+        get language() { return this.#language; }
+
+        static resolveLanguage(preferred) {
+            const adaylar = [preferred, document.documentElement.lang]
+                .filter(Boolean)
+                .map(dil => String(dil).toLowerCase());
+
+            for (const dil of adaylar) {
+                if (MESSAGES[dil]) return dil;
+                const kok = dil.split('-')[0];
+                if (MESSAGES[kok]) return kok;
+            }
+            return DEFAULT_LANGUAGE;
+        }
+
+        t(key, params = {}) {
+            const sablon = this.#messages[key] ?? key;
+            return sablon.replace(/\{(\w+)\}/g, (eslesme, ad) => (ad in params ? String(params[ad]) : eslesme));
+        }
+    }
+
+    const logMessage = (key, params) => new I18n().t(key, params);
+
+    class ProductCarousel {
+        static #counter = 0;
+        static #instances = new Set();
+        static #sharedSheet = null;
+
+        #state = new CarouselState();
+        #options;
+        #i18n;
+        #rtl = false;
+        #host = null;
+        #root = null;
+        #activeCard = 0;
+        #lastAnnouncement = null;
+        #autoplayTimer = null;
+        #autoplayPause = new Set();
+        #rawProducts = [];
+        #needsRevalidation = false;
+        #unsubscribeFavorites = null;
+        #imageObserver = null;
+        #analytics;
+        #events = new EventEmitter();
+        #lastIndex = 0;
+        #generation = 0;
+        #cancelMountWait = null;
+        #abortController = null;
+        #resizeObserver = null;
+        #unsubscribeHistory = null;
+        #wishlist = new Map();
+        #quickView = null;
+        #layout = null;
+        #layoutWidth = 0;
+        #etag = null;
+        #source = null;
+        #ready = false;
+        #abortRetried = false;
+
+        constructor(options = {}) {
+            this.#options = ProductCarousel.#mergeOptions(options);
+            this.#source = DataSources.create(this.#options.source, this.id);
+            this.#options.cacheKey = this.#options.cacheKey || this.#source.cacheKey;
+            this.#i18n = new I18n(this.#options.language, this.#options.messages);
+            this.#options.title = this.#options.title || this.#t(this.#isHistory ? 'recentTitle' : 'title');
+            this.#options.locale = this.#options.locale || this.#t('locale');
+            this.#state.setLoop(this.#options.loop);
+            this.#analytics = new CarouselAnalytics(this.id, this.#options.analytics, kart => this.#describeCard(kart));
+            ProductCarousel.#instances.add(this);
+            this.#initialize();
+        }
+
+        get id() { return this.#options.id; }
+        get #isHistory() { return this.#source.type === RECENTLY_VIEWED_SOURCE; }
+        get root() { return this.#root; }
+        get host() { return this.#host || this.#root; }
+
+        static get instances() {
+            return [...ProductCarousel.#instances];
+        }
+
+        static restartAll() {
+            ProductCarousel.#instances.forEach(instance => instance.#restart());
+        }
+
+        on(type, handler) {
+            return this.#events.on(type, handler);
+        }
+
+        off(type, handler) {
+            this.#events.off(type, handler);
+        }
+
+        next() {
+            const hedef = this.#stepTarget(1);
+            if (hedef !== null) this.#goTo(hedef);
+        }
+
+        prev() {
+            const hedef = this.#stepTarget(-1);
+            if (hedef !== null) this.#goTo(hedef);
+        }
+
+        goTo(index) {
+            if (!Number.isInteger(index)) throw new TypeError('Index must be an integer');
+            this.#goTo(index);
+        }
+
+        async refresh() {
+            const { cacheKey, cacheBackend } = this.#options;
+
+            try {
+                const { products, etag } = await this.#fetchProducts();
+                this.#etag = etag;
+                if (cacheKey) await ProductCache.write(cacheKey, products, cacheBackend, etag);
+                const oncekiUrunler = this.#state.products;
+                this.#applyProducts(products);
+                if (this.#ready) this.#refreshInPlace(oncekiUrunler);
+            } catch (error) {
+                if (!Utils.isAbortError(error)) this.#emitError(error);
+                throw error;
+            }
+        }
+
+        setProducts(list) {
+            this.#applyProducts(this.#validate(list));
+            if (this.#ready) this.#rebuild();
+        }
+
+        getState() {
+            return {
+                id: this.id,
+                ready: this.#ready,
+                currentIndex: this.#state.currentIndex,
+                visibleCount: this.#state.visibleCount,
+                maxIndex: this.#state.maxIndex,
+                page: this.#currentPage,
+                pageCount: this.#pageCount,
+                isLoading: this.#state.isLoading,
+                error: this.#state.error,
+                loop: this.#state.loop,
+                source: this.#source.type,
+                cacheKey: this.#options.cacheKey,
+                cacheBackend: this.#options.cacheBackend,
+                products: this.#state.products,
+                favorites: this.#state.favorites
+            };
+        }
+
+        toggleFavorite(id) {
+            return FavoritesStore.toggle(id);
+        }
+
+        #emitError(error) {
+            this.#events.emit('error', { carouselId: this.id, error });
+        }
+
+        #t(key, params) {
+            return this.#i18n.t(key, params);
+        }
+
+        static #mergeOptions(options) {
+            const gecmis = DataSources.describe(options.source ?? DEFAULT_OPTIONS.source).type === RECENTLY_VIEWED_SOURCE;
+            const merged = {
+                ...DEFAULT_OPTIONS,
+                ...options,
+                breakpoints: ProductCarousel.#normalizeBreakpoints(options.breakpoints ?? DEFAULT_OPTIONS.breakpoints),
+                relevance: { ...DEFAULT_OPTIONS.relevance, ...(gecmis && { enabled: false }), ...options.relevance },
+                recentlyViewed: { ...DEFAULT_OPTIONS.recentlyViewed, ...options.recentlyViewed },
+                analytics: { ...DEFAULT_OPTIONS.analytics, ...options.analytics },
+                theme: { ...DEFAULT_OPTIONS.theme, ...options.theme }
+            };
+
+            if (!INSERT_POSITIONS.includes(merged.position)) {
+                throw new RangeError(`Invalid position: ${merged.position}`);
+            }
+            if (!Number.isFinite(merged.order)) {
+                throw new RangeError(`Invalid order: ${merged.order}`);
+            }
+            const { limit } = merged.recentlyViewed;
+            if (!Number.isInteger(limit) || limit < 1 || limit > CONFIG.HISTORY.STORAGE_LIMIT) {
+                throw new RangeError(`Invalid recentlyViewed limit: ${limit}`);
+            }
+            if (!(merged.recentlyViewed.maxAge > 0)) {
+                throw new RangeError(`Invalid recentlyViewed maxAge: ${merged.recentlyViewed.maxAge}`);
+            }
+            if (merged.dir && !['ltr', 'rtl'].includes(merged.dir)) {
+                throw new RangeError(`Invalid dir: ${merged.dir}`);
+            }
+            if (merged.slidesToScroll !== 'page' && !(Number.isInteger(merged.slidesToScroll) && merged.slidesToScroll > 0)) {
+                throw new RangeError(`Invalid slidesToScroll: ${merged.slidesToScroll}`);
+            }
+            if (!OPEN_MODES.includes(merged.openMode)) {
+                throw new RangeError(`Invalid openMode: ${merged.openMode}`);
+            }
+            if (!PAGINATION_MODES.includes(merged.pagination)) {
+                throw new RangeError(`Invalid pagination: ${merged.pagination}`);
+            }
+            if (!CACHE_BACKENDS.includes(merged.cacheBackend)) {
+                throw new RangeError(`Invalid cache backend: ${merged.cacheBackend}`);
+            }
+            try {
+                new Intl.NumberFormat(merged.locale ?? undefined, { style: 'currency', currency: merged.currency });
+            } catch (error) {
+                throw new RangeError(`Invalid locale or currency: ${merged.locale} / ${merged.currency}`, { cause: error });
+            }
+
+            const { gap, gapMobile, ...tema } = merged.theme;
+            merged.theme = tema;
+            merged.breakpoints = merged.breakpoints.map((kesme) => {
+                const ozel = kesme.maxWidth <= CONFIG.UI.MOBILE_MAX_WIDTH ? gapMobile : gap;
+                return ozel == null ? kesme : { ...kesme, gap: ProductCarousel.#parseGap(ozel) };
+            });
+
+            const bilinmeyen = Object.keys(tema).filter(token => !(token in DEFAULT_THEME));
+            if (bilinmeyen.length) console.warn(logMessage('logUnknownThemeTokens', { tokens: bilinmeyen.join(', ') }));
+
+            merged.id = merged.id || `lcw-carousel-${++ProductCarousel.#counter}`;
+            return merged;
+        }
+
+        static #parseGap(deger) {
+            const piksel = typeof deger === 'number' ? deger : Number(String(deger).match(/^\s*(\d+(?:\.\d+)?)(?:px)?\s*$/)?.[1]);
+            if (!(piksel >= 0)) throw new RangeError(`Invalid theme gap: ${deger}`);
+            return piksel;
+        }
+
+        static #normalizeBreakpoints(tablo) {
+            if (!Array.isArray(tablo) || !tablo.length) throw new TypeError('Breakpoints must be a non-empty array');
+
+            return tablo.map((kesme) => {
+                const { maxWidth = Infinity, visibleCount = 1, gap = 0, cardWidth = null, arrows = true, compact = false } = kesme ?? {};
+
+                if (!(maxWidth > 0)) throw new RangeError(`Invalid breakpoint maxWidth: ${maxWidth}`);
+                if (!Number.isInteger(visibleCount) || visibleCount < 1) throw new RangeError(`Invalid breakpoint visibleCount: ${visibleCount}`);
+                if (!(gap >= 0)) throw new RangeError(`Invalid breakpoint gap: ${gap}`);
+                if (cardWidth !== null && !(cardWidth > 0)) throw new RangeError(`Invalid breakpoint cardWidth: ${cardWidth}`);
+
+                return { maxWidth, visibleCount, gap, cardWidth, arrows, compact };
+            }).sort((a, b) => a.maxWidth - b.maxWidth);
+        }
+
+        async #initialize() {
+            const nesil = this.#generation;
+            this.#abortController = new AbortController();
+            const { signal } = this.#abortController;
+
+            try {
+                const hedef = await this.#waitForMountTarget();
+                if (nesil !== this.#generation) return;
+
+                if (!hedef) {
+                    console.log(this.#t('logMountNotFound', { id: this.id }));
+                    return;
+                }
+
+                if (this.#options.productPageOnly && !this.#isProductPage()) {
+                    console.log(this.#t('logNotProductPage'));
+                    return;
+                }
+
+                const sayfadanKaydedildi = !this.#isHistory && Boolean(this.#isProductPage()) && this.#recordView(this.#pageProduct());
+
+                this.#state.setError(null);
+                this.#renderStatus('loading');
+
+                await this.#loadData();
+                if (nesil !== this.#generation) return;
+
+                this.#mount();
+                this.#ready = true;
+                this.#abortRetried = false;
+                this.#unsubscribeFavorites = FavoritesStore.subscribe(change => this.#handleFavoriteChange(change));
+
+                if (this.#isHistory) {
+                    this.#unsubscribeHistory = RecentlyViewed.subscribe(() => this.#reloadHistory());
+                    this.#reloadHistory();
+                } else if (this.#isProductPage() && !sayfadanKaydedildi) {
+                    this.#recordView(this.#currentProduct(this.#rawProducts));
+                }
+                
+                console.log(this.#t('logInitialized', { id: this.id }));
+                this.#events.emit('ready', { carouselId: this.id });
+
+                if (this.#needsRevalidation) this.#revalidate();
+            } catch (error) {
+                if (nesil !== this.#generation) return;
+
+                if (Utils.isAbortError(error) && !signal.aborted) {
+                    console.warn(this.#t('logInitAborted', { id: this.id }), error);
+                    this.#state.cleanup();
+                    if (this.#abortRetried) {
+                        this.#detach();
+                        return;
+                    }
+                    this.#abortRetried = true;
+                    this.#restart();
+                    return;
+                }
+
+                console.error(this.#t('logInitFailed', { id: this.id }), error);
+                this.#state.setError(error);
+                this.#state.cleanup();
+                this.#renderStatus('error');
+                this.#emitError(error);
+            }
+        }
+
+        #waitForMountTarget() {
+            const hedef = this.#getMountTarget();
+            if (hedef) return Promise.resolve(hedef);
+
+            return new Promise(resolve => {
+                const bitir = (sonuc) => {
+                    observer.disconnect();
+                    clearTimeout(zamanlayici);
+                    this.#cancelMountWait = null;
+                    resolve(sonuc);
+                };
+
+                const observer = new MutationObserver(() => {
+                    const bulunan = this.#getMountTarget();
+                    if (bulunan) bitir(bulunan);
+                });
+                observer.observe(document.documentElement, { childList: true, subtree: true });
+
+                const zamanlayici = setTimeout(() => bitir(null), CONFIG.UI.MOUNT_TIMEOUT);
+                this.#cancelMountWait = () => bitir(null);
+            });
+        }
+
+        #restart() {
+            this.#teardown();
+            this.#analytics.reset();
+            this.#state.setCurrentIndex(0);
+            this.#lastIndex = 0;
+            this.#activeCard = 0;
+            this.#initialize();
+        }
+
+        #teardown() {
+            this.#generation++;
+            this.#ready = false;
+            this.#cancelMountWait?.();
+            this.#abortController?.abort();
+            this.#abortController = null;
+            this.#closeQuickView(false);
+            clearTimeout(this.#autoplayTimer);
+            this.#autoplayTimer = null;
+            this.#autoplayPause.clear();
+            this.#unsubscribeFavorites?.();
+            this.#unsubscribeFavorites = null;
+            this.#unsubscribeHistory?.();
+            this.#unsubscribeHistory = null;
+            this.#imageObserver?.disconnect();
+            this.#imageObserver = null;
+            this.#analytics.disconnect();
+            this.#state.cleanup();
+            this.#detach();
+        }
+
+        #mount() {
+            if (!this.#state.products.length) {
+                if (this.#options.emptyMessage) this.#renderStatus('empty');
+                else this.#detach();
+                return;
+            }
+
+            this.#render();
+            this.#setupEvents();
+            this.#handleResponsive();
+
+            if (!this.#resizeObserver) {
+                const debouncedResize = Utils.debounce(() => this.#handleResponsive(), CONFIG.UI.DEBOUNCE_DELAY);
+                this.#state.addEventListener(window, 'resize', debouncedResize);
+            }
+        }
+
+        #rebuild() {
+            this.#closeQuickView(false);
+            this.#imageObserver?.disconnect();
+            this.#analytics.disconnect();
+            this.#state.cleanup();
+            this.#autoplayPause.clear();
+            this.#mount();
+        }
+
+        #refreshInPlace(oncekiUrunler) {
+            const icDiv = this.#root?.querySelector('.urunler-ic');
+            const urunler = this.#state.products;
+            if (!icDiv || !urunler.length) {
+                this.#rebuild();
+                return;
+            }
+
+            const kok = this.#root.getRootNode();
+            const yeniIndex = index => urunler.findIndex(urun => urun.id === oncekiUrunler[index]?.id);
+            const odakliKart = icDiv.contains(kok.activeElement) ? kok.activeElement.closest('.urun-kart') : null;
+            const odakIndex = odakliKart ? yeniIndex(Number(odakliKart.getAttribute('data-index'))) : -1;
+            const aktifIndex = yeniIndex(this.#activeCard);
+
+            icDiv.querySelectorAll('.urun-kart').forEach(kart => {
+                const img = kart.querySelector('img');
+                if (img) this.#imageObserver?.unobserve(img);
+                this.#analytics.unobserve(kart);
+                kart.remove();
+            });
+
+            this.#activeCard = aktifIndex >= 0 ? aktifIndex : Math.min(this.#activeCard, urunler.length - 1);
+            this.#state.setCurrentIndex(this.#state.currentIndex);
+            this.#updateCarousel(false);
+            if (odakliKart) this.#focusCard(odakIndex >= 0 ? odakIndex : this.#activeCard);
+
+            if (this.#quickView) {
+                const katman = this.#root.querySelector('.lcw-hizli-bakis');
+                const hbIndex = yeniIndex(this.#quickView.index);
+                const odak = katman.querySelector('.lcw-hb-icerik').contains(kok.activeElement) ? kok.activeElement : null;
+
+                if (hbIndex < 0) {
+                    this.#quickView.index = this.#activeCard;
+                    this.#closeQuickView();
+                } else {
+                    this.#quickView.index = hbIndex;
+                    this.#renderQuickView();
+                    if (odak) (katman.querySelector(`.lcw-hb-icerik .${odak.classList[0]}`) ?? katman.querySelector('.lcw-hb-kapat')).focus();
+                }
+            }
+
+            if (!this.#root.querySelector('.lcw-favori-panel')?.hidden) this.#renderWishlist();
+        }
+
+        #isProductPage() {
+            return window.location.href.includes('/p-') || 
+                   document.querySelector('.product-detail');
+        }
+
+        #getMountTarget() {
+            const { mount } = this.#options;
+            return mount instanceof Element ? mount : document.querySelector(mount);
+        }
+
+        async #fetchProducts({ etag = null } = {}) {
+            const signal = this.#abortController?.signal;
+            const { items, etag: yeniEtag, notModified } = await this.#source.load({ signal, etag, options: this.#options });
+
+            if (notModified) return { products: null, etag: yeniEtag, notModified };
+            return { products: this.#validate(items), etag: yeniEtag, notModified };
+        }
+
+        #validate(items) {
+            const rapor = ProductValidator.normalize(items);
+
+            if (rapor.rejected.length) {
+                console.warn(this.#t('logInvalidProducts', { id: this.id, rejected: rapor.rejected.length, total: rapor.total }));
+                try {
+                    this.#options.onInvalidProducts?.({ carouselId: this.id, ...rapor });
+                } catch (error) {
+                    console.error(this.#t('logInvalidProductsHookFailed', { id: this.id }), error);
+                }
+            }
+
+            return rapor.products;
+        }
+
+        async #loadData() {
+            this.#state.setLoading(true);
+
+            try {
+                const { cacheKey, cacheBackend } = this.#options;
+                this.#state.setFavorites(FavoritesStore.ids());
+
+                const cached = cacheKey ? await ProductCache.read(cacheKey, cacheBackend) : null;
+                let products = cached?.data;
+                this.#etag = cached?.etag ?? null;
+                this.#needsRevalidation = Boolean(cached?.stale);
+                if (cached) console.log(this.#t('logCacheHit'));
+
+                if (!products) {
+                    ({ products, etag: this.#etag } = await this.#fetchProducts());
+                    if (cacheKey) await ProductCache.write(cacheKey, products, cacheBackend, this.#etag);
+                }
+
+                this.#applyProducts(products);
+            } finally {
+                this.#state.setLoading(false);
+            }
+        }
+
+        async #revalidate() {
+            const { cacheKey, cacheBackend } = this.#options;
+            this.#needsRevalidation = false;
+
+            try {
+                const { products, etag, notModified } = await this.#fetchProducts({ etag: this.#etag });
+                this.#etag = etag;
+
+                if (notModified) {
+                    await ProductCache.write(cacheKey, this.#rawProducts, cacheBackend, etag);
+                    return;
+                }
+
+                await ProductCache.write(cacheKey, products, cacheBackend, etag);
+                if (!this.#ready || JSON.stringify(products) === JSON.stringify(this.#rawProducts)) return;
+
+                const oncekiUrunler = this.#state.products;
+                this.#applyProducts(products);
+                this.#refreshInPlace(oncekiUrunler);
+            } catch (error) {
+                if (Utils.isAbortError(error)) return;
+                console.warn(this.#t('logRevalidateFailed', { id: this.id }), error);
+                this.#emitError(error);
+            }
+        }
+
+        #recordView(urun) {
+            if (!urun) return false;
+            RecentlyViewed.record(urun);
+            return true;
+        }
+
+        #currentProduct(urunler) {
+            const { id } = Recommender.detectCurrentProduct(urunler);
+            return (id && urunler.find(aday => aday.id === id)) || null;
+        }
+
+        #pageProduct() {
+            const detay = document.querySelector('.product-detail');
+            const adaylar = DataSources.scrapeJsonLd();
+
+            if (detay?.dataset.productId) {
+                const { productId, name, img, price, originalPrice, category } = detay.dataset;
+                adaylar.unshift({ id: productId, name, img, price, original_price: originalPrice, category, url: window.location.href.split('#')[0] });
+            }
+
+            const { products } = ProductValidator.normalize(adaylar);
+            return this.#currentProduct(products) ?? (products.length === 1 ? products[0] : null);
+        }
+
+        async #reloadHistory() {
+            const { products } = await this.#fetchProducts();
+            if (!this.#ready || JSON.stringify(products) === JSON.stringify(this.#rawProducts)) return;
+
+            const oncekiUrunler = this.#state.products;
+            this.#applyProducts(products);
+            this.#refreshInPlace(oncekiUrunler);
+        }
+
+        #applyProducts(products) {
+            if (!Array.isArray(products)) throw new TypeError('Products must be array');
+            this.#rawProducts = products;
+
+            const { relevance } = this.#options;
+            this.#state.setProducts(relevance.enabled
+                ? Recommender.rank(products, relevance, this.#state.favorites)
+                : products);
+        }
+
+        #createContainer() {
+            const container = document.createElement('div');
+            container.className = 'benzer-urunler-container';
+            container.dataset.carouselId = this.id;
+            container.dataset.carouselOrder = this.#options.order;
+            container.setAttribute('role', 'region');
+            container.setAttribute('aria-roledescription', this.#t('carousel'));
+            container.setAttribute('aria-labelledby', `${this.id}-baslik`);
+            container.setAttribute('lang', this.#i18n.language);
+
+            this.#rtl = this.#resolveDirection(this.#getMountTarget()) === 'rtl';
+            container.setAttribute('dir', this.#rtl ? 'rtl' : 'ltr');
+            return container;
+        }
+
+        #renderTitle(eylemli = false) {
+            const baslik = `<h2 id="${this.id}-baslik">${Utils.sanitize(this.#options.title)}</h2>`;
+            const eylemler = eylemli ? this.#renderTitleActions() : '';
+            if (!eylemler) return `<div class="benzer-urunler-baslik">${baslik}</div>`;
+
+            return `<div class="benzer-urunler-baslik lcw-baslik-eylemli">${baslik}<div class="lcw-baslik-eylemler">${eylemler}</div></div>`;
+        }
+
+        #renderTitleActions() {
+            if (this.#isHistory) {
+                return `<button type="button" class="lcw-gecmis-temizle">${Utils.sanitize(this.#t('clearHistory'))}</button>`;
+            }
+            if (!this.#options.wishlist) return '';
+
+            const adet = FavoritesStore.ids().length;
+            const etiket = Utils.sanitize(this.#t('wishlistCount', { count: adet }));
+            return `<button type="button" class="lcw-favori-sayac" aria-haspopup="dialog" aria-expanded="false" aria-controls="${this.id}-favoriler" aria-label="${etiket}" title="${etiket}">${HEART_ICON}<span class="lcw-sayac" aria-hidden="true">${adet}</span></button>`;
+        }
+
+        #renderWishlistPanel() {
+            if (this.#isHistory || !this.#options.wishlist) return '';
+
+            return `
+                <div class="lcw-favori-panel" id="${this.id}-favoriler" role="dialog" aria-labelledby="${this.id}-favoriler-baslik" hidden>
+                    <div class="lcw-favori-panel-baslik">
+                        <h3 id="${this.id}-favoriler-baslik">${Utils.sanitize(this.#t('wishlist'))}</h3>
+                        <button type="button" class="lcw-favori-kapat" aria-label="${Utils.sanitize(this.#t('close'))}"><span aria-hidden="true">&times;</span></button>
+                    </div>
+                    <ul class="lcw-favori-liste"></ul>
+                </div>
+            `;
+        }
+
+        async #resolveFavorites() {
+            const { cacheKey, cacheBackend } = this.#options;
+            const katalog = new Map();
+            const kaynaklar = [[CONFIG.CACHE.KEYS.PRODUCTS, DEFAULT_OPTIONS.cacheBackend], [cacheKey, cacheBackend]]
+                .filter(([key, backend], i, liste) => key && liste.findIndex(([k, b]) => k === key && b === backend) === i);
+
+            for (const [key, backend] of kaynaklar) {
+                const cached = await ProductCache.read(key, backend);
+                cached?.data.forEach(urun => katalog.set(String(urun.id), urun));
+            }
+            this.#rawProducts.forEach(urun => katalog.set(urun.id, urun));
+
+            return FavoritesStore.list()
+                .sort((a, b) => (b.addedAt ?? 0) - (a.addedAt ?? 0))
+                .map(({ id }) => ({ id, product: katalog.get(id) ?? null }));
+        }
+
+        async #renderWishlist() {
+            const liste = this.#root?.querySelector('.lcw-favori-liste');
+            if (!liste) return;
+
+            const favoriler = await this.#resolveFavorites();
+            if (!liste.isConnected) return;
+
+            this.#wishlist = new Map(favoriler.map(({ id, product }) => [id, product]));
+            const odak = this.#root.getRootNode().activeElement;
+            const odakId = liste.contains(odak) ? odak.closest('.lcw-favori-oge')?.getAttribute('data-id') : null;
+
+            if (!favoriler.length) {
+                liste.innerHTML = `<li class="lcw-favori-bos">${Utils.sanitize(this.#t('wishlistEmpty'))}</li>`;
+                return;
+            }
+
+            liste.innerHTML = favoriler.map(({ id, product: urun }) => {
+                const ad = urun ? urun.name : this.#t('wishlistItem', { id });
+                const kaldir = `<button type="button" class="lcw-favori-kaldir" aria-label="${Utils.sanitize(this.#t('wishlistRemove', { name: ad }))}"><span aria-hidden="true">&times;</span></button>`;
+
+                if (!urun) {
+                    return `
+                        <li class="lcw-favori-oge lcw-yok" data-id="${Utils.sanitize(id)}">
+                            <div class="lcw-favori-gorsel"></div>
+                            <div class="lcw-favori-bilgi">
+                                <span class="urun-ad">${Utils.sanitize(ad)}</span>
+                                <span class="lcw-favori-durum">${Utils.sanitize(this.#t('wishlistUnavailable'))}</span>
+                            </div>
+                            ${kaldir}
+                        </li>
+                    `;
+                }
+
+                const ac = urun.url ? `<button type="button" class="lcw-favori-ac">${Utils.sanitize(this.#t('openProduct'))}</button>` : '';
+                return `
+                    <li class="lcw-favori-oge" data-id="${Utils.sanitize(id)}">
+                        <img class="lcw-favori-gorsel" src="${Utils.sanitize(urun.img)}" alt="" loading="lazy" decoding="async">
+                        <div class="lcw-favori-bilgi">
+                            <span class="urun-ad">${Utils.sanitize(ad)}</span>
+                            <span class="urun-fiyat">${this.#renderPrice(urun)}</span>
+                            ${ac}
+                        </div>
+                        ${kaldir}
+                    </li>
+                `;
+            }).join('');
+
+            if (odakId) {
+                const oge = [...liste.children].find(aday => aday.getAttribute('data-id') === odakId);
+                oge?.querySelector(`.${odak.classList[0]}`)?.focus();
+            }
+        }
+
+        #toggleWishlist(acik) {
+            const panel = this.#root?.querySelector('.lcw-favori-panel');
+            const sayac = this.#root?.querySelector('.lcw-favori-sayac');
+            if (!panel || panel.hidden === !acik) return;
+
+            panel.hidden = !acik;
+            sayac?.setAttribute('aria-expanded', String(acik));
+
+            if (acik) {
+                this.#renderWishlist();
+                panel.querySelector('.lcw-favori-kapat').focus();
+            } else if (panel.contains(this.#root.getRootNode().activeElement)) {
+                sayac?.focus();
+            }
+        }
+
+        #updateWishlistBadge() {
+            const sayac = this.#root?.querySelector('.lcw-favori-sayac');
+            if (!sayac) return;
+
+            const adet = FavoritesStore.ids().length;
+            const etiket = this.#t('wishlistCount', { count: adet });
+            sayac.querySelector('.lcw-sayac').textContent = adet;
+            sayac.setAttribute('aria-label', etiket);
+            sayac.title = etiket;
+
+            if (!this.#root.querySelector('.lcw-favori-panel')?.hidden) this.#renderWishlist();
+        }
+
+        #attach(container) {
+            const hedef = this.#getMountTarget();
+
+            if (this.#root?.isConnected) {
+                this.#root.replaceWith(container);
+            } else if (this.#options.shadow) {
+                this.#host = document.createElement('div');
+                this.#host.className = 'lcw-carousel-host';
+                this.#host.dataset.carouselId = this.id;
+                this.#host.dataset.carouselOrder = this.#options.order;
+                this.#host.attachShadow({ mode: 'open' }).appendChild(container);
+                if (hedef) this.#insert(this.#host, hedef);
+            } else if (hedef) {
+                this.#insert(container, hedef);
+            }
+            this.#root = container;
+            this.#applyTheme(this.#host || container);
+
+            this.#addStyles();
+            this.#applyLayout(this.#measureWidth());
+            this.#observeSize();
+        }
+
+        #insert(dugum, hedef) {
+            hedef.insertAdjacentElement(this.#options.position, dugum);
+
+            const { order } = this.#options;
+            const sira = (eleman) => (eleman?.dataset.carouselOrder === undefined ? NaN : Number(eleman.dataset.carouselOrder));
+            while (sira(dugum.nextElementSibling) < order) dugum.nextElementSibling.after(dugum);
+            while (sira(dugum.previousElementSibling) > order) dugum.previousElementSibling.before(dugum);
+        }
+
+        #detach() {
+            this.#resizeObserver?.disconnect();
+            this.#resizeObserver = null;
+            if (this.#root) this.#root.remove();
+            this.#root = null;
+            if (this.#host) this.#host.remove();
+            this.#host = null;
+        }
+
+        #render() {
+            const container = this.#createContainer();
+
+            this.#activeCard = Math.min(this.#activeCard, Math.max(0, this.#state.products.length - 1));
+            this.#lastAnnouncement = null;
+
+            const [oncekiOk, sonrakiOk] = this.#rtl ? ['&gt;', '&lt;'] : ['&lt;', '&gt;'];
+            
+            let icerik = this.#renderTitle(true);
+            icerik += this.#renderWishlistPanel();
+            icerik += this.#renderQuickViewShell();
+            icerik += '<div class="carousel-wrapper">';
+            icerik += `<button type="button" class="carousel-btn sol-btn" aria-controls="${this.id}-liste" aria-label="${Utils.sanitize(this.#t('previous'))}"><span aria-hidden="true">${oncekiOk}</span></button>`;
+            icerik += `<div class="urunler-listesi"><div class="urunler-ic" id="${this.id}-liste"></div></div>`;
+            icerik += `<button type="button" class="carousel-btn sag-btn" aria-controls="${this.id}-liste" aria-label="${Utils.sanitize(this.#t('next'))}"><span aria-hidden="true">${sonrakiOk}</span></button>`;
+            icerik += '</div>';
+            icerik += this.#renderPagination();
+            icerik += '<div class="lcw-sr-only lcw-canli-bolge" aria-live="polite" aria-atomic="true"></div>';
+            
+            container.innerHTML = icerik;
+            this.#attach(container);
+            this.#setupImageObserver();
+        }
+
+        #renderStatus(durum) {
+            const container = this.#createContainer();
+            let icerik = this.#renderTitle();
+
+            if (durum === 'loading') {
+                container.setAttribute('aria-busy', 'true');
+                icerik += '<div class="carousel-wrapper"><div class="urunler-listesi"><div class="lcw-iskelet-liste"></div></div></div>';
+                icerik += `<div class="lcw-sr-only" role="status">${Utils.sanitize(this.#t('loading'))}</div>`;
+            } else if (durum === 'error') {
+                icerik += `
+                    <div class="lcw-durum lcw-hata" role="alert">
+                        <p>${Utils.sanitize(this.#t('error'))}</p>
+                        <button type="button" class="lcw-tekrar-dene">${Utils.sanitize(this.#t('retry'))}</button>
+                    </div>
+                `;
+            } else {
+                const { emptyMessage } = this.#options;
+                const mesaj = typeof emptyMessage === 'string' ? emptyMessage : this.#t('empty');
+                icerik += `<div class="lcw-durum lcw-bos" role="status"><p>${Utils.sanitize(mesaj)}</p></div>`;
+            }
+
+            container.innerHTML = icerik;
+            this.#attach(container);
+
+            const iskeletListe = container.querySelector('.lcw-iskelet-liste');
+            if (iskeletListe) this.#renderSkeleton(iskeletListe);
+
+            const tekrarDene = container.querySelector('.lcw-tekrar-dene');
+            if (tekrarDene) {
+                this.#state.addEventListener(tekrarDene, 'click', () => this.#restart());
+            }
+        }
+
+        #renderSkeleton(liste) {
+            if (liste.children.length === this.#state.visibleCount) return;
+
+            const iskelet = `
+                <div class="urun-kart iskelet" aria-hidden="true">
+                    <div class="urun-gorsel"></div>
+                    <div class="urun-bilgi">
+                        <div class="iskelet-satir"></div>
+                        <div class="iskelet-satir kisa"></div>
+                    </div>
+                </div>
+            `;
+            liste.innerHTML = iskelet.repeat(this.#state.visibleCount);
+        }
+
+        #createCard(urun, index) {
+            const toplam = this.#state.products.length;
+            const favorideMi = this.#state.isFavorite(urun.id);
+            const ad = Utils.sanitize(urun.name);
+            const kartEtiketi = Utils.sanitize(this.#t('slideLabel', { index: index + 1, total: toplam, name: urun.name }));
+            const favoriEtiketi = Utils.sanitize(this.#t('favorite', { name: urun.name }));
+            const favoriIpucu = Utils.sanitize(this.#t(favorideMi ? 'favoriteRemove' : 'favoriteAdd'));
+
+            const sablon = document.createElement('template');
+            sablon.innerHTML = `
+                <div class="urun-kart" data-index="${index}" role="group" aria-roledescription="${Utils.sanitize(this.#t('slide'))}" tabindex="${index === this.#activeCard ? 0 : -1}" aria-label="${kartEtiketi}">
+                    <div class="urun-gorsel">
+                        ${this.#renderImage(urun)}
+                        ${this.#renderDiscountBadge(urun)}
+                        <button type="button" class="favori-btn ${favorideMi ? 'aktif' : ''}" data-id="${Utils.sanitize(urun.id)}" aria-pressed="${favorideMi}" aria-label="${favoriEtiketi}" title="${favoriIpucu}">
+                            ${HEART_ICON}
+                        </button>
+                    </div>
+                    <div class="urun-bilgi">
+                        <div class="urun-ad">${ad}</div>
+                        <div class="urun-fiyat">${this.#renderPrice(urun)}</div>
+                    </div>
+                </div>
+            `;
+            return sablon.content.firstElementChild;
+        }
+
+        #renderImage(urun) {
+            const src = Utils.sanitize(urun.img);
+            const srcset = urun.srcset ? Utils.sanitize(urun.srcset) : '';
+            const ortak = `alt="${Utils.sanitize(urun.name)}" sizes="${Utils.sanitize(this.#options.imageSizes)}" loading="lazy" decoding="async" draggable="false"`;
+
+            if (!this.#imageObserver) {
+                return `<img src="${src}"${srcset ? ` srcset="${srcset}"` : ''} ${ortak}>`;
+            }
+            return `<img src="${Utils.sanitize(this.#options.placeholder)}" data-src="${src}"${srcset ? ` data-srcset="${srcset}"` : ''} ${ortak}>`;
+        }
+
+        #setupImageObserver() {
+            this.#imageObserver?.disconnect();
+            this.#imageObserver = null;
+            if (typeof IntersectionObserver === 'undefined') return;
+
+            this.#imageObserver = new IntersectionObserver((girdiler) => {
+                girdiler.forEach(({ isIntersecting, target }) => {
+                    if (isIntersecting) this.#loadImage(target);
+                });
+            }, { root: this.#root.querySelector('.urunler-listesi'), rootMargin: '0px 50%' });
+        }
+
+        #loadImage(img) {
+            this.#imageObserver?.unobserve(img);
+            if (img.dataset.srcset) img.srcset = img.dataset.srcset;
+            if (img.dataset.src) img.src = img.dataset.src;
+            delete img.dataset.src;
+            delete img.dataset.srcset;
+        }
+
+        #renderWindow() {
+            const icDiv = this.#root?.querySelector('.urunler-ic');
+            if (!icDiv) return;
+
+            const urunler = this.#state.products;
+            const { currentIndex, visibleCount } = this.#state;
+            const tampon = CONFIG.UI.VIRTUAL_BUFFER;
+            const baslangic = Math.max(0, currentIndex - tampon);
+            const bitis = Math.min(urunler.length, currentIndex + visibleCount + tampon);
+
+            const mevcut = new Map();
+            icDiv.querySelectorAll('.urun-kart').forEach(kart => {
+                const index = Number(kart.dataset.index);
+                if (index >= baslangic && index < bitis) {
+                    mevcut.set(index, kart);
+                    return;
+                }
+                const img = kart.querySelector('img');
+                if (img) this.#imageObserver?.unobserve(img);
+                this.#analytics.unobserve(kart);
+                kart.remove();
+            });
+
+            let onceki = null;
+            for (let i = baslangic; i < bitis; i++) {
+                let kart = mevcut.get(i);
+                if (!kart) {
+                    kart = this.#createCard(urunler[i], i);
+                    if (onceki) onceki.after(kart);
+                    else icDiv.prepend(kart);
+
+                    const img = kart.querySelector('img[data-src]');
+                    if (img) this.#imageObserver.observe(img);
+                    this.#analytics.observe(kart);
+                }
+                kart.style.marginInlineStart = '';
+                onceki = kart;
+            }
+
+            const ilk = icDiv.querySelector('.urun-kart');
+            if (ilk && baslangic > 0) {
+                ilk.style.marginInlineStart = `${baslangic * this.#getStepWidth(icDiv)}px`;
+            }
+        }
+
+        #describeCard(kart) {
+            const index = Number(kart.getAttribute('data-index'));
+            const urun = this.#state.products[index];
+            return urun ? { productId: urun.id, position: index + 1 } : null;
+        }
+
+        #resolveDirection(hedef) {
+            if (this.#options.dir) return this.#options.dir;
+            const eleman = hedef?.closest('[dir]') || document.documentElement;
+            return eleman.getAttribute('dir') || (hedef ? getComputedStyle(hedef).direction : 'ltr');
+        }
+
+        #renderPrice(urun) {
+            const { locale, currency } = this.#options;
+            const fiyat = Utils.formatPrice(urun.price, locale, currency);
+            if (!urun.original_price) return fiyat;
+
+            const eski = Utils.formatPrice(urun.original_price, locale, currency);
+            return `<del class="urun-eski-fiyat"><span class="lcw-sr-only">${Utils.sanitize(this.#t('oldPrice'))} </span>${eski}</del> ${fiyat}`;
+        }
+
+        #renderDiscountBadge(urun) {
+            if (!urun.original_price) return '';
+            const oran = (urun.price - urun.original_price) / urun.original_price;
+            return `<span class="indirim-rozet">${Utils.formatPercent(oran, this.#options.locale)}</span>`;
+        }
+
+        static #stylesheet() {
+            const v = (token) => `var(--lcw-${Utils.kebabCase(token)}, ${DEFAULT_THEME[token]})`;
+
+            return `
+                :host {
+                    display: block;
+                }
+                
+                .benzer-urunler-container {
+                    margin: ${v('containerMargin')};
+                    padding: ${v('containerPadding')};
+                    background-color: ${v('background')};
+                }
+                
+                .benzer-urunler-baslik h2 {
+                    font-size: ${v('titleSize')};
+                    margin-bottom: 20px;
+                    font-weight: normal;
+                    color: ${v('text')};
+                }
+                
+                .lcw-baslik-eylemli {
+                    display: flex;
+                    align-items: baseline;
+                    justify-content: space-between;
+                    gap: 12px;
+                }
+                
+                .lcw-gecmis-temizle {
+                    padding: 0;
+                    border: 0;
+                    background: none;
+                    color: ${v('muted')};
+                    font-size: 13px;
+                    text-decoration: underline;
+                    cursor: pointer;
+                }
+                
+                .lcw-favori-sayac {
+                    display: inline-flex;
+                    align-items: center;
+                    gap: 6px;
+                    padding: 6px 12px;
+                    border: 1px solid ${v('border')};
+                    border-radius: 999px;
+                    background: ${v('surface')};
+                    color: ${v('text')};
+                    cursor: pointer;
+                }
+                
+                .lcw-favori-sayac svg {
+                    width: 16px;
+                    height: 16px;
+                    fill: ${v('favorite')};
+                    stroke: ${v('favorite')};
+                }
+                
+                .lcw-favori-panel {
+                    position: fixed;
+                    inset-block: 0;
+                    inset-inline-end: 0;
+                    z-index: 1000;
+                    display: flex;
+                    flex-direction: column;
+                    width: min(360px, 100%);
+                    background: ${v('surface')};
+                    color: ${v('text')};
+                    box-shadow: 0 0 24px rgba(0,0,0,0.2);
+                }
+                
+                .lcw-favori-panel[hidden] {
+                    display: none;
+                }
+                
+                .lcw-favori-panel-baslik {
+                    display: flex;
+                    align-items: center;
+                    justify-content: space-between;
+                    padding: 16px;
+                    border-bottom: 1px solid ${v('border')};
+                }
+                
+                .lcw-favori-panel-baslik h3 {
+                    margin: 0;
+                    font-size: 18px;
+                    font-weight: normal;
+                }
+                
+                .lcw-favori-kapat,
+                .lcw-favori-kaldir {
+                    width: 32px;
+                    height: 32px;
+                    border: 0;
+                    background: none;
+                    color: ${v('muted')};
+                    font-size: 20px;
+                    cursor: pointer;
+                }
+                
+                .lcw-favori-liste {
+                    flex: 1;
+                    margin: 0;
+                    padding: 0;
+                    overflow-y: auto;
+                    list-style: none;
+                }
+                
+                .lcw-favori-oge {
+                    display: flex;
+                    align-items: flex-start;
+                    gap: 12px;
+                    padding: 12px 16px;
+                    border-bottom: 1px solid ${v('border')};
+                }
+                
+                .lcw-favori-gorsel {
+                    flex: 0 0 64px;
+                    width: 64px;
+                    height: 84px;
+                    object-fit: cover;
+                    background: ${v('imageBackground')};
+                }
+                
+                .lcw-favori-bilgi {
+                    display: flex;
+                    flex: 1;
+                    flex-direction: column;
+                    gap: 4px;
+                    font-size: ${v('nameSize')};
+                }
+                
+                .lcw-yok .lcw-favori-bilgi {
+                    color: ${v('subtle')};
+                }
+                
+                .lcw-favori-durum {
+                    font-size: 12px;
+                }
+                
+                .lcw-favori-ac {
+                    align-self: flex-start;
+                    padding: 0;
+                    border: 0;
+                    background: none;
+                    color: ${v('accent')};
+                    text-decoration: underline;
+                    cursor: pointer;
+                }
+                
+                .lcw-favori-bos {
+                    padding: 24px 16px;
+                    color: ${v('muted')};
+                    text-align: center;
+                }
+                
+                .lcw-hizli-bakis {
+                    position: fixed;
+                    inset: 0;
+                    z-index: 1001;
+                    display: flex;
+                    align-items: center;
+                    justify-content: center;
+                    padding: 16px;
+                    background: rgba(0,0,0,0.5);
+                }
+                
+                .lcw-hizli-bakis[hidden] {
+                    display: none;
+                }
+                
+                .lcw-hb-pencere {
+                    position: relative;
+                    width: min(720px, 100%);
+                    max-height: 100%;
+                    overflow-y: auto;
+                    padding: 24px;
+                    border-radius: ${v('cardRadius')};
+                    background: ${v('surface')};
+                    color: ${v('text')};
+                }
+                
+                .lcw-hb-icerik {
+                    display: grid;
+                    grid-template-columns: minmax(0, 1fr) minmax(0, 1fr);
+                    gap: 24px;
+                }
+                
+                .lcw-kompakt .lcw-hb-icerik {
+                    grid-template-columns: minmax(0, 1fr);
+                }
+                
+                .lcw-hb-bilgi h3 {
+                    margin: 0 0 12px;
+                    font-size: ${v('titleSizeMobile')};
+                    font-weight: normal;
+                }
+                
+                .lcw-hb-bilgi .urun-fiyat {
+                    font-size: 20px;
+                }
+                
+                .lcw-hb-git {
+                    display: inline-block;
+                    margin-top: 20px;
+                    padding: 10px 20px;
+                    border-radius: 4px;
+                    background: ${v('accent')};
+                    color: ${v('surface')};
+                    text-decoration: none;
+                }
+                
+                .lcw-hb-kapat {
+                    position: absolute;
+                    top: 8px;
+                    inset-inline-end: 8px;
+                    width: 32px;
+                    height: 32px;
+                    border: 0;
+                    background: none;
+                    color: ${v('muted')};
+                    font-size: 24px;
+                    cursor: pointer;
+                }
+                
+                .lcw-hb-gezinti {
+                    display: flex;
+                    align-items: center;
+                    justify-content: center;
+                    gap: 16px;
+                    margin-top: 16px;
+                    color: ${v('muted')};
+                }
+                
+                .lcw-hb-onceki,
+                .lcw-hb-sonraki {
+                    width: ${v('buttonSize')};
+                    height: ${v('buttonSize')};
+                    border: 1px solid ${v('border')};
+                    border-radius: ${v('buttonRadius')};
+                    background: ${v('surface')};
+                    color: ${v('muted')};
+                    font-size: 20px;
+                    cursor: pointer;
+                }
+                
+                .lcw-hb-onceki:disabled,
+                .lcw-hb-sonraki:disabled {
+                    opacity: 0.3;
+                    cursor: default;
+                }
+                
+                .carousel-wrapper {
+                    position: relative;
+                    padding: ${v('wrapperPadding')};
+                }
+                
+                .urunler-listesi {
+                    overflow: hidden;
+                    margin: ${v('listMargin')};
+                }
+                
+                .urunler-ic {
+                    display: flex;
+                    gap: var(--lcw-gap, 15px);
+                    transition: transform 0.3s;
+                    touch-action: pan-y;
+                }
+                
+                @media (prefers-reduced-motion: reduce) {
+                    .urunler-ic {
+                        transition: none;
+                    }
+                }
+                
+                .urunler-ic.surukleniyor {
+                    transition: none;
+                    cursor: grabbing;
+                    user-select: none;
+                }
+                
+                .urun-kart {
+                    flex: 0 0 var(--lcw-card-width, calc((100% - (var(--lcw-visible-count, 4) - 1) * var(--lcw-gap, 15px)) / var(--lcw-visible-count, 4)));
+                    cursor: pointer;
+                    border-radius: ${v('cardRadius')};
+                    overflow: hidden;
+                }
+                
+                .urun-kart:hover {
+                    transform: translateY(-2px);
+                }
+                
+                .lcw-iskelet-liste {
+                    display: flex;
+                    gap: var(--lcw-gap, 15px);
+                }
+                
+                .urun-kart.iskelet {
+                    cursor: default;
+                    pointer-events: none;
+                }
+                
+                .iskelet .urun-gorsel,
+                .iskelet-satir {
+                    background: linear-gradient(90deg, ${v('skeletonBase')} 25%, ${v('skeletonHighlight')} 37%, ${v('skeletonBase')} 63%);
+                    background-size: 400% 100%;
+                    animation: lcw-parilti 1.4s ease infinite;
+                }
+                
+                .iskelet-satir {
+                    height: 14px;
+                    margin: 8px;
+                    border-radius: 4px;
+                }
+                
+                .iskelet-satir.kisa {
+                    width: 40%;
+                }
+                
+                @keyframes lcw-parilti {
+                    0% { background-position: 100% 50%; }
+                    100% { background-position: 0 50%; }
+                }
+                
+                @media (prefers-reduced-motion: reduce) {
+                    .iskelet .urun-gorsel,
+                    .iskelet-satir {
+                        animation: none;
+                    }
+                }
+                
+                .lcw-durum {
+                    padding: 40px 15px;
+                    text-align: center;
+                    color: ${v('text')};
+                }
+                
+                .lcw-tekrar-dene {
+                    margin-top: 12px;
+                    padding: 8px 20px;
+                    border: 0;
+                    border-radius: 4px;
+                    background: ${v('accent')};
+                    color: ${v('surface')};
+                    cursor: pointer;
+                }
+                
+                .urun-kart:focus-visible,
+                .favori-btn:focus-visible,
+                .carousel-btn:focus-visible,
+                .lcw-sayfa-nokta:focus-visible,
+                .lcw-gecmis-temizle:focus-visible,
+                .lcw-favori-sayac:focus-visible,
+                .lcw-favori-kapat:focus-visible,
+                .lcw-favori-kaldir:focus-visible,
+                .lcw-favori-ac:focus-visible,
+                .lcw-hb-kapat:focus-visible,
+                .lcw-hb-onceki:focus-visible,
+                .lcw-hb-sonraki:focus-visible,
+                .lcw-hb-git:focus-visible,
+                .lcw-tekrar-dene:focus-visible {
+                    outline: 2px solid ${v('focus')};
+                    outline-offset: -2px;
+                }
+                
+                .lcw-sr-only {
+                    position: absolute;
+                    width: 1px;
+                    height: 1px;
+                    padding: 0;
+                    margin: -1px;
+                    overflow: hidden;
+                    clip: rect(0, 0, 0, 0);
+                    white-space: nowrap;
+                    border: 0;
                 }
                 
                 .urun-gorsel {
                     position: relative;
-                    background: #f5f5f5;
+                    background: ${v('imageBackground')};
                     padding-bottom: 133%;
                     overflow: hidden;
                 }
@@ -339,12 +2719,12 @@
                 .favori-btn {
                     position: absolute;
                     top: 10px;
-                    right: 10px;
+                    inset-inline-end: 10px;
                     width: 35px;
                     height: 35px;
-                    border-radius: 50%;
-                    background: white;
-                    border: 1px solid #ddd;
+                    border-radius: ${v('buttonRadius')};
+                    background: ${v('surface')};
+                    border: 1px solid ${v('border')};
                     cursor: pointer;
                     display: flex;
                     align-items: center;
@@ -360,50 +2740,68 @@
                     width: 18px;
                     height: 18px;
                     fill: none;
-                    stroke: #666;
+                    stroke: ${v('muted')};
                     stroke-width: 2;
                 }
                 
                 .favori-btn.aktif svg {
-                    fill: #0066cc;
-                    stroke: #0066cc;
+                    fill: ${v('favorite')};
+                    stroke: ${v('favorite')};
                 }
                 
                 .urun-bilgi {
                     padding: 10px 0;
-                    background-color: #fff;
+                    background-color: ${v('surface')};
                 }
                 
                 .urun-ad {
-                    font-size: 14px;
-                    color: #333;
+                    font-size: ${v('nameSize')};
+                    color: ${v('text')};
                     margin-bottom: 5px;
                     height: 40px;
                     overflow: hidden;
-                    padding-left: 8px;
-                    padding-right: 8px;
+                    padding-inline: 8px;
                 }
                 
                 .urun-fiyat {
-                    font-size: 16px;
+                    font-size: ${v('priceSize')};
                     font-weight: bold;
-                    color: #183db0;
+                    color: ${v('accent')};
                     margin-top: 30px;
-                    margin-left: 8px;
+                    margin-inline-start: 8px;
+                }
+                
+                .urun-eski-fiyat {
+                    font-size: ${v('oldPriceSize')};
+                    font-weight: normal;
+                    color: ${v('subtle')};
+                    margin-inline-end: 4px;
+                }
+                
+                .indirim-rozet {
+                    position: absolute;
+                    top: 10px;
+                    inset-inline-start: 10px;
+                    padding: 3px 6px;
+                    border-radius: ${v('badgeRadius')};
+                    background: ${v('badgeBackground')};
+                    color: ${v('badgeText')};
+                    font-size: ${v('badgeSize')};
+                    font-weight: bold;
                 }
                 
                 .carousel-btn {
                     position: absolute;
                     top: 50%;
                     transform: translateY(-50%);
-                    width: 36px;
-                    height: 36px;
-                    border-radius: 50%;
-                    background: white;
-                    border: 1px solid #ddd;
+                    width: ${v('buttonSize')};
+                    height: ${v('buttonSize')};
+                    border-radius: ${v('buttonRadius')};
+                    background: ${v('surface')};
+                    border: 1px solid ${v('border')};
                     cursor: pointer;
                     font-size: 18px;
-                    color: #666;
+                    color: ${v('muted')};
                     z-index: 1;
                     display: flex;
                     align-items: center;
@@ -411,7 +2809,7 @@
                 }
                 
                 .carousel-btn:hover {
-                    background: #f0f0f0;
+                    background: ${v('hover')};
                 }
                 
                 .carousel-btn:disabled {
@@ -420,155 +2818,718 @@
                 }
                 
                 .sol-btn {
-                    left: 0;
+                    inset-inline-start: 0;
+                }
+                
+                .lcw-sayfalama {
+                    display: flex;
+                    justify-content: center;
+                    gap: 8px;
+                    margin-top: 12px;
+                    color: ${v('muted')};
+                    font-size: 13px;
+                }
+                
+                .lcw-sayfalama[hidden] {
+                    display: none;
+                }
+                
+                .lcw-sayfa-nokta {
+                    width: 8px;
+                    height: 8px;
+                    padding: 0;
+                    border: 0;
+                    border-radius: 50%;
+                    background: ${v('border')};
+                    cursor: pointer;
+                }
+                
+                .lcw-sayfa-nokta.aktif {
+                    background: ${v('accent')};
                 }
                 
                 .sag-btn {
-                    right: 0;
+                    inset-inline-end: 0;
                 }
                 
-                @media (max-width: 1024px) {
-                    .urun-kart {
-                        flex: 0 0 calc(33.333% - 10px);
-                    }
+                .lcw-kompakt .benzer-urunler-baslik h2 {
+                    font-size: ${v('titleSizeMobile')};
                 }
                 
-                @media (max-width: 768px) {
-                    .benzer-urunler-baslik h2 {
-                        font-size: 18px;
-                    }
-                    
-                    .urun-kart {
-                        flex: 0 0 calc(50% - 7.5px);
-                    }
-                    
-                    .urunler-listesi {
-                        margin: 0 30px;
-                    }
-                    
-                    .carousel-btn {
-                        width: 30px;
-                        height: 30px;
-                        font-size: 16px;
-                    }
+                .lcw-kompakt .urunler-listesi {
+                    margin: 0 30px;
                 }
                 
-                @media (max-width: 480px) {
-                    .carousel-btn {
-                        display: none;
-                    }
-                    
-                    .urunler-listesi {
-                        margin: 0;
-                        overflow-x: auto;
-                        -webkit-overflow-scrolling: touch;
-                    }
-                    
-                    .urunler-listesi::-webkit-scrollbar {
-                        display: none;
-                    }
-                    
-                    .urun-kart {
-                        flex: 0 0 calc(50% - 5px);
-                    }
-                    
-                    .urunler-ic {
-                        gap: 10px;
-                    }
+                .lcw-kompakt .carousel-btn {
+                    width: 30px;
+                    height: 30px;
+                    font-size: 16px;
+                }
+                
+                .lcw-oksuz .carousel-btn {
+                    display: none;
+                }
+                
+                .lcw-oksuz .urunler-listesi {
+                    margin: 0;
                 }
             `;
+        }
+
+        #addStyles() {
+            if (this.#options.shadow) {
+                this.#addShadowStyles();
+                return;
+            }
+            if (document.querySelector('.lcw-carousel-styles')) return;
+
+            const stil = document.createElement('style');
+            stil.className = 'lcw-carousel-styles';
+            stil.textContent = ProductCarousel.#stylesheet();
             
             document.head.appendChild(stil);
         }
 
+        #addShadowStyles() {
+            const golge = this.#host.shadowRoot;
+
+            if ('adoptedStyleSheets' in golge && typeof CSSStyleSheet.prototype.replaceSync === 'function') {
+                if (!ProductCarousel.#sharedSheet) {
+                    ProductCarousel.#sharedSheet = new CSSStyleSheet();
+                    ProductCarousel.#sharedSheet.replaceSync(ProductCarousel.#stylesheet());
+                }
+                golge.adoptedStyleSheets = [ProductCarousel.#sharedSheet];
+                return;
+            }
+
+            if (golge.querySelector('.lcw-carousel-styles')) return;
+            const stil = document.createElement('style');
+            stil.className = 'lcw-carousel-styles';
+            stil.textContent = ProductCarousel.#stylesheet();
+            golge.prepend(stil);
+        }
+
+        #applyTheme(eleman) {
+            Object.entries(this.#options.theme).forEach(([token, deger]) => {
+                if (deger == null || deger === '') return;
+                eleman.style.setProperty(`--lcw-${Utils.kebabCase(token)}`, String(deger));
+            });
+        }
+
         #setupEvents() {
-            const kartlar = document.querySelectorAll('.urun-kart');
-            kartlar.forEach(kart => {
-                this.#state.addEventListener(kart, 'click', (e) => {
-                    if (!e.target.closest('.favori-btn')) {
-                        const idx = kart.getAttribute('data-index');
-                        const urun = this.#state.products[idx];
-                        if (urun?.url && Utils.isValidURL(urun.url)) {
-                            window.open(urun.url, '_blank', 'noopener,noreferrer');
-                        }
+            const icDiv = this.#root.querySelector('.urunler-ic');
+            if (icDiv) {
+                this.#state.addEventListener(icDiv, 'click', (e) => {
+                    const kart = e.target.closest('.urun-kart');
+                    const favBtn = e.target.closest('.favori-btn');
+                    if (favBtn) {
+                        const favorite = FavoritesStore.toggle(favBtn.getAttribute('data-id'));
+                        if (kart) this.#analytics.track('favorite', { ...this.#describeCard(kart), favorite });
+                        return;
                     }
+
+                    if (!kart) return;
+
+                    const idx = Number(kart.getAttribute('data-index'));
+                    this.#setActiveCard(idx);
+                    this.#openProduct(idx);
                 });
-            });
+
+                this.#state.addEventListener(icDiv, 'keydown', (e) => {
+                    const kart = e.target.closest('.urun-kart');
+                    if (kart) this.#handleCardKeydown(e, kart);
+                });
+            }
+
+            this.#setupDrag();
+
+            const listesi = this.#root.querySelector('.urunler-listesi');
+            if (listesi) {
+                this.#state.addEventListener(listesi, 'focusin', () => {
+                    listesi.scrollLeft = 0;
+                });
+            }
             
-            const favButonlari = document.querySelectorAll('.favori-btn');
-            favButonlari.forEach(btn => {
-                this.#state.addEventListener(btn, 'click', (e) => {
-                    e.stopPropagation();
-                    
-                    const urunId = btn.getAttribute('data-id');
-                    
-                    if (this.#state.isFavorite(urunId)) {
-                        this.#state.removeFavorite(urunId);
-                        btn.classList.remove('aktif');
-                    } else {
-                        this.#state.addFavorite(urunId);
-                        btn.classList.add('aktif');
-                    }
-                    
-                    Storage.set(CONFIG.CACHE.KEYS.FAVORITES, this.#state.favorites);
+            this.#setupWishlist();
+            this.#setupQuickView();
+
+            const temizle = this.#root.querySelector('.lcw-gecmis-temizle');
+            if (temizle) {
+                this.#state.addEventListener(temizle, 'click', () => RecentlyViewed.clear());
+            }
+
+            const sayfalama = this.#root.querySelector('.lcw-sayfalama');
+            if (sayfalama) {
+                this.#state.addEventListener(sayfalama, 'click', (e) => {
+                    const nokta = e.target.closest('.lcw-sayfa-nokta');
+                    if (!nokta) return;
+
+                    this.#goTo(this.#pageStart(Number(nokta.getAttribute('data-page'))));
+                    this.#analytics.track('navigate', { direction: 'page', position: this.#state.currentIndex + 1 });
                 });
-            });
+            }
 
-            const solBtn = document.querySelector('.sol-btn');
-            const sagBtn = document.querySelector('.sag-btn');
+            const solBtn = this.#root.querySelector('.sol-btn');
+            const sagBtn = this.#root.querySelector('.sag-btn');
             
             if (solBtn) {
                 this.#state.addEventListener(solBtn, 'click', () => {
-                    if (this.#state.canGoPrevious()) {
-                        this.#state.setCurrentIndex(this.#state.currentIndex - 1);
-                        this.#updateCarousel();
+                    const hedef = this.#stepTarget(-1);
+                    if (hedef !== null) {
+                        this.#goTo(hedef);
+                        this.#analytics.track('navigate', { direction: 'previous', position: this.#state.currentIndex + 1 });
                     }
                 });
             }
             
             if (sagBtn) {
                 this.#state.addEventListener(sagBtn, 'click', () => {
-                    if (this.#state.canGoNext()) {
-                        this.#state.setCurrentIndex(this.#state.currentIndex + 1);
-                        this.#updateCarousel();
+                    const hedef = this.#stepTarget(1);
+                    if (hedef !== null) {
+                        this.#goTo(hedef);
+                        this.#analytics.track('navigate', { direction: 'next', position: this.#state.currentIndex + 1 });
                     }
                 });
             }
+
+            if (this.#options.autoplay) this.#setupAutoplay();
             
             this.#updateButtons();
         }
 
-        #updateCarousel() {
-            const icDiv = document.querySelector('.urunler-ic');
+        #goTo(index) {
+            this.#state.setCurrentIndex(index);
+            this.#updateCarousel();
+            this.#scheduleAutoplay();
+        }
+
+        #setupAutoplay() {
+            const pauseWhile = (neden, aktif) => {
+                if (aktif) this.#autoplayPause.add(neden);
+                else this.#autoplayPause.delete(neden);
+                this.#scheduleAutoplay();
+            };
+
+            this.#state.addEventListener(this.#root, 'pointerenter', () => pauseWhile('hover', true));
+            this.#state.addEventListener(this.#root, 'pointerleave', () => pauseWhile('hover', false));
+            this.#state.addEventListener(this.#root, 'focusin', () => pauseWhile('focus', true));
+            this.#state.addEventListener(this.#root, 'focusout', (e) => {
+                if (!this.#root.contains(e.relatedTarget)) pauseWhile('focus', false);
+            });
+
+            const gorunurluk = () => pauseWhile('hidden', document.visibilityState === 'hidden');
+            this.#state.addEventListener(document, 'visibilitychange', gorunurluk);
+
+            const azHareket = window.matchMedia?.('(prefers-reduced-motion: reduce)');
+            if (azHareket) {
+                this.#state.addEventListener(azHareket, 'change', (e) => pauseWhile('reduced-motion', e.matches));
+                if (azHareket.matches) this.#autoplayPause.add('reduced-motion');
+            }
+
+            gorunurluk();
+        }
+
+        #scheduleAutoplay() {
+            clearTimeout(this.#autoplayTimer);
+            this.#autoplayTimer = null;
+
+            if (!this.#options.autoplay || !this.#root || this.#autoplayPause.size > 0) return;
+            if (this.#state.maxIndex === 0) return;
+
+            this.#autoplayTimer = setTimeout(() => {
+                const sonraki = this.#stepTarget(1) ?? 0;
+                this.#state.setCurrentIndex(sonraki);
+                this.#updateCarousel(false);
+                this.#scheduleAutoplay();
+            }, this.#options.autoplayDelay);
+        }
+
+        #setupWishlist() {
+            const sayac = this.#root.querySelector('.lcw-favori-sayac');
+            const panel = this.#root.querySelector('.lcw-favori-panel');
+            if (!sayac || !panel) return;
+
+            this.#state.addEventListener(sayac, 'click', () => this.#toggleWishlist(panel.hidden));
+
+            this.#state.addEventListener(panel, 'click', (e) => {
+                if (e.target.closest('.lcw-favori-kapat')) {
+                    this.#toggleWishlist(false);
+                    return;
+                }
+
+                const oge = e.target.closest('.lcw-favori-oge');
+                if (!oge) return;
+                const id = oge.getAttribute('data-id');
+
+                if (e.target.closest('.lcw-favori-kaldir')) {
+                    const sonraki = oge.nextElementSibling || oge.previousElementSibling;
+                    oge.remove();
+                    (sonraki?.querySelector('.lcw-favori-kaldir') || panel.querySelector('.lcw-favori-kapat')).focus();
+                    FavoritesStore.remove(id);
+                    this.#analytics.track('favorite', { productId: id, favorite: false });
+                } else if (e.target.closest('.lcw-favori-ac')) {
+                    const urun = this.#wishlist.get(id);
+                    const index = this.#state.products.indexOf(urun);
+                    if (urun) this.#navigate(urun, index < 0 ? null : index);
+                }
+            });
+
+            this.#state.addEventListener(panel, 'keydown', (e) => {
+                if (e.key !== 'Escape') return;
+                e.stopPropagation();
+                this.#toggleWishlist(false);
+            });
+
+            this.#state.addEventListener(document, 'click', (e) => {
+                const yol = e.composedPath();
+                if (!panel.hidden && !yol.includes(panel) && !yol.includes(sayac)) this.#toggleWishlist(false);
+            });
+        }
+
+        #handleFavoriteChange({ id, favorite, source }) {
+            if (favorite) this.#state.addFavorite(id);
+            else this.#state.removeFavorite(id);
+            this.#events.emit('favoriteChange', { carouselId: this.id, id, favorite, source });
+
+            this.#root?.querySelectorAll('.favori-btn').forEach(btn => {
+                if (btn.getAttribute('data-id') !== id) return;
+                btn.classList.toggle('aktif', favorite);
+                btn.setAttribute('aria-pressed', String(favorite));
+                btn.title = this.#t(favorite ? 'favoriteRemove' : 'favoriteAdd');
+            });
+
+            this.#updateWishlistBadge();
+        }
+
+        #openProduct(index) {
+            const urun = this.#state.products[index];
+            if (!urun) return;
+
+            this.#analytics.track('click', { productId: urun.id, position: index + 1 });
+            this.#navigate(urun, index);
+        }
+
+        #navigate(urun, index) {
+            const event = this.#events.emit('productClick', { carouselId: this.id, product: { ...urun }, index }, { cancelable: true });
+            if (event.defaultPrevented) return;
+
+            const { openMode } = this.#options;
+            if (openMode === 'quickView' && index !== null && this.#root?.querySelector('.lcw-hizli-bakis')) {
+                this.#toggleWishlist(false);
+                this.#openQuickView(index);
+                return;
+            }
+
+            if (!urun.url || !Utils.isValidURL(urun.url)) return;
+            if (openMode === 'sameTab') window.location.assign(urun.url);
+            else window.open(urun.url, '_blank', 'noopener,noreferrer');
+        }
+
+        #renderQuickViewShell() {
+            if (this.#options.openMode !== 'quickView') return '';
+            const [oncekiOk, sonrakiOk] = this.#rtl ? ['&rsaquo;', '&lsaquo;'] : ['&lsaquo;', '&rsaquo;'];
+
+            return `
+                <div class="lcw-hizli-bakis" hidden>
+                    <div class="lcw-hb-pencere" role="dialog" aria-modal="true" aria-labelledby="${this.id}-hb-baslik">
+                        <button type="button" class="lcw-hb-kapat" aria-label="${Utils.sanitize(this.#t('close'))}"><span aria-hidden="true">&times;</span></button>
+                        <div class="lcw-hb-icerik"></div>
+                        <div class="lcw-hb-gezinti">
+                            <button type="button" class="lcw-hb-onceki" aria-label="${Utils.sanitize(this.#t('previousProduct'))}"><span aria-hidden="true">${oncekiOk}</span></button>
+                            <span class="lcw-hb-konum" aria-hidden="true"></span>
+                            <button type="button" class="lcw-hb-sonraki" aria-label="${Utils.sanitize(this.#t('nextProduct'))}"><span aria-hidden="true">${sonrakiOk}</span></button>
+                        </div>
+                    </div>
+                </div>
+            `;
+        }
+
+        #renderQuickView() {
+            const { index } = this.#quickView;
+            const urun = this.#state.products[index];
+            const katman = this.#root.querySelector('.lcw-hizli-bakis');
+            const toplam = this.#state.products.length;
+
+            const favorideMi = this.#state.isFavorite(urun.id);
+            const srcset = urun.srcset ? ` srcset="${Utils.sanitize(urun.srcset)}"` : '';
+            const git = urun.url ? `<a class="lcw-hb-git" href="${Utils.sanitize(urun.url)}">${Utils.sanitize(this.#t('openProduct'))}</a>` : '';
+
+            katman.querySelector('.lcw-hb-icerik').innerHTML = `
+                <div class="urun-gorsel lcw-hb-gorsel">
+                    <img src="${Utils.sanitize(urun.img)}"${srcset} alt="${Utils.sanitize(urun.name)}" sizes="(max-width: 768px) 100vw, 50vw" decoding="async">
+                    ${this.#renderDiscountBadge(urun)}
+                    <button type="button" class="favori-btn ${favorideMi ? 'aktif' : ''}" data-id="${Utils.sanitize(urun.id)}" aria-pressed="${favorideMi}" aria-label="${Utils.sanitize(this.#t('favorite', { name: urun.name }))}" title="${Utils.sanitize(this.#t(favorideMi ? 'favoriteRemove' : 'favoriteAdd'))}">
+                        ${HEART_ICON}
+                    </button>
+                </div>
+                <div class="lcw-hb-bilgi">
+                    <h3 id="${this.id}-hb-baslik">${Utils.sanitize(urun.name)}</h3>
+                    <div class="urun-fiyat">${this.#renderPrice(urun)}</div>
+                    ${git}
+                </div>
+            `;
+
+            katman.querySelector('.lcw-hb-konum').textContent = `${index + 1} / ${toplam}`;
+            katman.querySelector('.lcw-hb-onceki').disabled = !this.#state.loop && index === 0;
+            katman.querySelector('.lcw-hb-sonraki').disabled = !this.#state.loop && index === toplam - 1;
+        }
+
+        #openQuickView(index) {
+            const katman = this.#root.querySelector('.lcw-hizli-bakis');
+            const kok = this.#root.getRootNode();
+
+            if (!this.#quickView) {
+                this.#quickView = {
+                    index,
+                    opener: kok.activeElement,
+                    overflow: document.documentElement.style.overflow
+                };
+                document.documentElement.style.overflow = 'hidden';
+            }
+            this.#quickView.index = index;
+
+            this.#renderQuickView();
+            katman.hidden = false;
+            if (!katman.contains(kok.activeElement) || kok.activeElement.disabled) katman.querySelector('.lcw-hb-kapat').focus();
+
+            const urun = this.#state.products[index];
+            this.#analytics.track('quickView', { productId: urun.id, position: index + 1 });
+        }
+
+        #stepQuickView(yon) {
+            const toplam = this.#state.products.length;
+            const hedef = this.#quickView.index + yon;
+
+            if (hedef >= 0 && hedef < toplam) this.#openQuickView(hedef);
+            else if (this.#state.loop && toplam > 1) this.#openQuickView((hedef + toplam) % toplam);
+        }
+
+        #closeQuickView(odakla = true) {
+            if (!this.#quickView) return;
+
+            const { index, opener, overflow } = this.#quickView;
+            this.#quickView = null;
+            document.documentElement.style.overflow = overflow;
+
+            const katman = this.#root?.querySelector('.lcw-hizli-bakis');
+            if (katman) katman.hidden = true;
+            if (!odakla) return;
+
+            if (opener?.closest?.('.urun-kart')) this.#focusCard(index);
+            else if (opener?.isConnected) opener.focus();
+        }
+
+        #setupQuickView() {
+            const katman = this.#root.querySelector('.lcw-hizli-bakis');
+            if (!katman) return;
+
+            this.#state.addEventListener(katman, 'click', (e) => {
+                if (e.target === katman || e.target.closest('.lcw-hb-kapat')) {
+                    this.#closeQuickView();
+                } else if (e.target.closest('.lcw-hb-onceki')) {
+                    this.#stepQuickView(-1);
+                } else if (e.target.closest('.lcw-hb-sonraki')) {
+                    this.#stepQuickView(1);
+                } else if (e.target.closest('.favori-btn')) {
+                    const urun = this.#state.products[this.#quickView.index];
+                    const favorite = FavoritesStore.toggle(urun.id);
+                    this.#analytics.track('favorite', { productId: urun.id, position: this.#quickView.index + 1, favorite });
+                }
+            });
+
+            this.#state.addEventListener(katman, 'keydown', (e) => {
+                if (e.key === 'Escape') {
+                    e.stopPropagation();
+                    this.#closeQuickView();
+                } else if (e.key === 'Tab') {
+                    this.#trapFocus(e, katman);
+                } else if ((e.key === 'ArrowLeft' || e.key === 'ArrowRight') && !e.target.closest('a')) {
+                    e.preventDefault();
+                    this.#stepQuickView((e.key === 'ArrowRight' ? 1 : -1) * this.#direction);
+                }
+            });
+        }
+
+        #trapFocus(e, kapsayici) {
+            const odaklanabilir = [...kapsayici.querySelectorAll('button:not([disabled]), a[href]')];
+            if (!odaklanabilir.length) return;
+
+            const ilk = odaklanabilir[0];
+            const son = odaklanabilir[odaklanabilir.length - 1];
+            const aktif = this.#root.getRootNode().activeElement;
+
+            if (e.shiftKey && (aktif === ilk || !kapsayici.contains(aktif))) {
+                e.preventDefault();
+                son.focus();
+            } else if (!e.shiftKey && aktif === son) {
+                e.preventDefault();
+                ilk.focus();
+            }
+        }
+
+        #handleCardKeydown(e, kart) {
+            const index = Number(kart.getAttribute('data-index'));
+            const sonIndex = this.#state.products.length - 1;
+            let hedef;
+
+            switch (e.key) {
+                case 'ArrowRight': hedef = Math.min(Math.max(index + this.#direction, 0), sonIndex); break;
+                case 'ArrowLeft': hedef = Math.min(Math.max(index - this.#direction, 0), sonIndex); break;
+                case 'Home': hedef = 0; break;
+                case 'End': hedef = sonIndex; break;
+                case 'Enter':
+                case ' ':
+                    if (e.target !== kart) return;
+                    e.preventDefault();
+                    this.#openProduct(index);
+                    return;
+                default:
+                    return;
+            }
+
+            e.preventDefault();
+            this.#focusCard(hedef);
+        }
+
+        #focusCard(index) {
+            const { currentIndex, visibleCount } = this.#state;
+
+            if (index < currentIndex) {
+                this.#state.setCurrentIndex(index);
+            } else if (index >= currentIndex + visibleCount) {
+                this.#state.setCurrentIndex(index - visibleCount + 1);
+            }
+
+            this.#setActiveCard(index);
+            this.#updateCarousel();
+            this.#root.querySelector(`.urun-kart[data-index="${index}"]`)?.focus({ preventScroll: true });
+        }
+
+        #setActiveCard(index) {
+            this.#root.querySelectorAll('.urun-kart[tabindex="0"]').forEach(kart => kart.setAttribute('tabindex', '-1'));
+            this.#root.querySelector(`.urun-kart[data-index="${index}"]`)?.setAttribute('tabindex', '0');
+            this.#activeCard = index;
+        }
+
+        #setupDrag() {
+            const icDiv = this.#root.querySelector('.urunler-ic');
+            if (!icDiv) return;
+
+            const { THRESHOLD, MOMENTUM, SAMPLE_WINDOW } = CONFIG.UI.DRAG;
+            let surukleme = null;
+            let tiklamaEngelle = false;
+
+            const bitir = (e, iptal) => {
+                if (!surukleme || e.pointerId !== surukleme.pointerId) return;
+                const { aktif, dx, ornekler } = surukleme;
+                surukleme = null;
+                if (!aktif) return;
+
+                icDiv.classList.remove('surukleniyor');
+                if (icDiv.hasPointerCapture?.(e.pointerId)) icDiv.releasePointerCapture(e.pointerId);
+
+                if (!iptal) {
+                    const ilk = ornekler[0];
+                    const son = ornekler[ornekler.length - 1];
+                    const hiz = son.t > ilk.t ? (son.x - ilk.x) / (son.t - ilk.t) * this.#direction : 0;
+                    const adim = this.#getStepWidth(icDiv);
+                    const hedef = adim ? (this.#getDragOffset(dx * this.#direction, adim) + hiz * MOMENTUM) / -adim : this.#state.currentIndex;
+                    this.#state.setCurrentIndex(Math.round(hedef));
+                }
+
+                tiklamaEngelle = true;
+                setTimeout(() => { tiklamaEngelle = false; }, 0);
+                this.#updateCarousel();
+                this.#scheduleAutoplay();
+            };
+
+            this.#state.addEventListener(icDiv, 'pointerdown', (e) => {
+                if (e.button !== 0 || surukleme) return;
+                surukleme = {
+                    pointerId: e.pointerId,
+                    startX: e.clientX,
+                    startY: e.clientY,
+                    dx: 0,
+                    aktif: false,
+                    ornekler: [{ x: e.clientX, t: e.timeStamp }]
+                };
+            });
+
+            this.#state.addEventListener(icDiv, 'pointermove', (e) => {
+                if (!surukleme || e.pointerId !== surukleme.pointerId) return;
+
+                const dx = e.clientX - surukleme.startX;
+                const dy = e.clientY - surukleme.startY;
+
+                if (!surukleme.aktif) {
+                    if (Math.max(Math.abs(dx), Math.abs(dy)) < THRESHOLD) return;
+                    if (Math.abs(dy) > Math.abs(dx)) {
+                        surukleme = null;
+                        return;
+                    }
+                    surukleme.aktif = true;
+                    icDiv.setPointerCapture?.(e.pointerId);
+                    icDiv.classList.add('surukleniyor');
+                }
+
+                surukleme.dx = dx;
+                surukleme.ornekler.push({ x: e.clientX, t: e.timeStamp });
+                surukleme.ornekler = surukleme.ornekler.filter(o => e.timeStamp - o.t <= SAMPLE_WINDOW);
+
+                const offset = this.#getDragOffset(dx * this.#direction, this.#getStepWidth(icDiv));
+                icDiv.style.transform = `translateX(${offset * this.#direction}px)`;
+            });
+
+            this.#state.addEventListener(icDiv, 'pointerup', (e) => bitir(e, false));
+            this.#state.addEventListener(icDiv, 'pointercancel', (e) => bitir(e, true));
+
+            this.#state.addEventListener(icDiv, 'click', (e) => {
+                if (!tiklamaEngelle) return;
+                e.preventDefault();
+                e.stopPropagation();
+                tiklamaEngelle = false;
+            }, { capture: true });
+        }
+
+        #getDragOffset(dx, adim) {
+            const taban = -this.#state.currentIndex * adim;
+            const enAz = -this.#state.maxIndex * adim;
+            const offset = taban + dx;
+
+            if (offset > 0) return offset / 3;
+            if (offset < enAz) return enAz + (offset - enAz) / 3;
+            return offset;
+        }
+
+        get #direction() {
+            return this.#rtl ? -1 : 1;
+        }
+
+        #getStepWidth(icDiv) {
+            const kartGenislik = icDiv.querySelector('.urun-kart')?.offsetWidth || 0;
+            return kartGenislik + (this.#layout?.gap ?? 0);
+        }
+
+        #updateCarousel(announce = true) {
+            const icDiv = this.#root?.querySelector('.urunler-ic');
             if (!icDiv) return;
 
-            const kartGenislik = document.querySelector('.urun-kart')?.offsetWidth || 0;
-            const bosluk = 15;
-            const kaydir = this.#state.currentIndex * (kartGenislik + bosluk);
+            this.#renderWindow();
+            const kaydir = this.#state.currentIndex * this.#getStepWidth(icDiv);
             
-            icDiv.style.transform = `translateX(-${kaydir}px)`;
+            icDiv.style.transform = `translateX(${-kaydir * this.#direction}px)`;
+
+            const { currentIndex, visibleCount } = this.#state;
+            if (this.#activeCard < currentIndex || this.#activeCard >= currentIndex + visibleCount) {
+                this.#setActiveCard(currentIndex);
+            }
+
             this.#updateButtons();
+            this.#updatePagination();
+            if (announce) this.#announcePosition();
+
+            if (currentIndex !== this.#lastIndex) {
+                const previousIndex = this.#lastIndex;
+                this.#lastIndex = currentIndex;
+                this.#events.emit('slideChange', { carouselId: this.id, index: currentIndex, previousIndex });
+            }
+        }
+
+        #announcePosition() {
+            const toplam = this.#state.products.length;
+            if (!toplam) return;
+
+            const baslangic = this.#state.currentIndex + 1;
+            const bitis = Math.min(this.#state.currentIndex + this.#state.visibleCount, toplam);
+            const mesaj = this.#t('position', { start: baslangic, end: bitis, total: toplam });
+
+            if (mesaj === this.#lastAnnouncement) return;
+
+            const bolge = this.#root.querySelector('.lcw-canli-bolge');
+            if (bolge && this.#lastAnnouncement !== null) bolge.textContent = mesaj;
+            this.#lastAnnouncement = mesaj;
         }
 
         #updateButtons() {
-            const solBtn = document.querySelector('.sol-btn');
-            const sagBtn = document.querySelector('.sag-btn');
+            const solBtn = this.#root.querySelector('.sol-btn');
+            const sagBtn = this.#root.querySelector('.sag-btn');
             
             if (solBtn) solBtn.disabled = !this.#state.canGoPrevious();
             if (sagBtn) sagBtn.disabled = !this.#state.canGoNext();
         }
 
-        #handleResponsive() {
-            const genislik = window.innerWidth;
-            
-            if (genislik <= 480) {
-                this.#state.setVisibleCount(2);
-            } else if (genislik <= 768) {
-                this.#state.setVisibleCount(2);
-            } else if (genislik <= 1024) {
-                this.#state.setVisibleCount(3);
-            } else {
-                this.#state.setVisibleCount(4);
+        get #pageSize() {
+            const { slidesToScroll } = this.#options;
+            return slidesToScroll === 'page' ? this.#state.visibleCount : slidesToScroll;
+        }
+
+        get #pageCount() {
+            return Math.ceil(this.#state.maxIndex / this.#pageSize) + 1;
+        }
+
+        get #currentPage() {
+            const { currentIndex, maxIndex } = this.#state;
+            return currentIndex >= maxIndex ? this.#pageCount - 1 : Math.floor(currentIndex / this.#pageSize);
+        }
+
+        #pageStart(sayfa) {
+            return Math.min(sayfa * this.#pageSize, this.#state.maxIndex);
+        }
+
+        #stepTarget(yon) {
+            const sayfa = this.#currentPage;
+            if (yon < 0 && this.#state.currentIndex > this.#pageStart(sayfa)) return this.#pageStart(sayfa);
+
+            const toplam = this.#pageCount;
+            const hedef = sayfa + yon;
+            if (hedef >= 0 && hedef < toplam) return this.#pageStart(hedef);
+            return this.#state.loop && this.#state.maxIndex > 0 ? this.#pageStart((hedef + toplam) % toplam) : null;
+        }
+
+        #renderPagination() {
+            const { pagination } = this.#options;
+            if (!pagination) return '';
+
+            return pagination === 'fraction'
+                ? '<div class="lcw-sayfalama lcw-sayfa-sayac" aria-hidden="true" hidden></div>'
+                : `<div class="lcw-sayfalama" role="group" aria-label="${Utils.sanitize(this.#t('pagination'))}" hidden></div>`;
+        }
+
+        #updatePagination() {
+            const alan = this.#root.querySelector('.lcw-sayfalama');
+            if (!alan) return;
+
+            const toplam = this.#pageCount;
+            const sayfa = this.#currentPage;
+            alan.hidden = toplam < 2;
+
+            if (this.#options.pagination === 'fraction') {
+                alan.textContent = `${sayfa + 1} / ${toplam}`;
+                return;
+            }
+
+            if (alan.children.length !== toplam) {
+                alan.innerHTML = Array.from({ length: toplam }, (_, i) => {
+                    const etiket = Utils.sanitize(this.#t('page', { page: i + 1, total: toplam }));
+                    return `<button type="button" class="lcw-sayfa-nokta" data-page="${i}" aria-controls="${this.id}-liste" aria-label="${etiket}"></button>`;
+                }).join('');
+            }
+
+            [...alan.children].forEach((nokta, i) => {
+                nokta.classList.toggle('aktif', i === sayfa);
+                if (i === sayfa) nokta.setAttribute('aria-current', 'true');
+                else nokta.removeAttribute('aria-current');
+            });
+        }
+
+        #handleResponsive(genislik = this.#measureWidth()) {
+            if (!this.#root) return;
+            this.#applyLayout(genislik);
+
+            const iskeletListe = this.#root.querySelector('.lcw-iskelet-liste');
+            if (iskeletListe) {
+                this.#renderSkeleton(iskeletListe);
+                return;
             }
 
             if (this.#state.currentIndex > this.#state.maxIndex) {
@@ -576,31 +3537,330 @@
             }
             
             this.#updateCarousel();
+        }
+
+        #observeSize() {
+            this.#resizeObserver?.disconnect();
+            this.#resizeObserver = null;
+            if (typeof ResizeObserver === 'undefined') return;
+
+            this.#resizeObserver = new ResizeObserver(([giris]) => {
+                const genislik = giris.contentRect.width;
+                if (genislik && genislik !== this.#layoutWidth) this.#handleResponsive(genislik);
+            });
+            this.#resizeObserver.observe(this.#root);
+        }
+
+        #measureWidth() {
+            if (!this.#root?.clientWidth) return window.innerWidth;
+
+            const stil = getComputedStyle(this.#root);
+            return this.#root.clientWidth - (parseFloat(stil.paddingLeft) || 0) - (parseFloat(stil.paddingRight) || 0);
+        }
+
+        #applyLayout(genislik) {
+            const { breakpoints } = this.#options;
+            const kesme = breakpoints.find(({ maxWidth }) => genislik <= maxWidth) ?? breakpoints.at(-1);
+
+            this.#layout = kesme;
+            this.#layoutWidth = genislik;
+            this.#root.classList.toggle('lcw-kompakt', kesme.compact);
+            this.#root.classList.toggle('lcw-oksuz', !kesme.arrows);
 
-            const debouncedResize = Utils.debounce(() => this.#handleResponsive(), CONFIG.UI.DEBOUNCE_DELAY);
-            this.#state.addEventListener(window, 'resize', debouncedResize);
+            let adet = kesme.visibleCount;
+            if (kesme.cardWidth) {
+                const alan = this.#root.querySelector('.urunler-listesi')?.clientWidth || genislik;
+                adet = Math.max(1, Math.floor((alan + kesme.gap) / (kesme.cardWidth + kesme.gap)));
+            }
+            this.#state.setVisibleCount(adet);
+
+            const stil = this.#root.style;
+            stil.setProperty('--lcw-visible-count', adet);
+            stil.setProperty('--lcw-gap', `${kesme.gap}px`);
+            if (kesme.cardWidth) stil.setProperty('--lcw-card-width', `${kesme.cardWidth}px`);
+            else stil.removeProperty('--lcw-card-width');
         }
 
         destroy() {
-            this.#state.cleanup();
-            const container = document.querySelector('.benzer-urunler-container');
-            const styles = document.querySelector('.lcw-carousel-styles');
-            if (container) container.remove();
-            if (styles) styles.remove();
+            this.#teardown();
+            ProductCarousel.#instances.delete(this);
+
+            if (ProductCarousel.#instances.size === 0) {
+                document.querySelector('.lcw-carousel-styles')?.remove();
+            }
+
+            this.#events.clear();
+        }
+    }
+
+    class RouteWatcher {
+        static #started = false;
+        static #lastLocation = null;
+
+        static #currentLocation() {
+            return `${window.location.origin}${window.location.pathname}${window.location.search}`;
+        }
+
+        static start(onChange) {
+            if (this.#started) return;
+            this.#started = true;
+            this.#lastLocation = this.#currentLocation();
+
+            ['pushState', 'replaceState'].forEach(method => {
+                const original = history[method];
+                history[method] = function (...args) {
+                    const sonuc = original.apply(this, args);
+                    window.dispatchEvent(new Event('lcw:locationchange'));
+                    return sonuc;
+                };
+            });
+
+            const kontrol = Utils.debounce(() => {
+                const konum = this.#currentLocation();
+                if (konum === this.#lastLocation) return;
+                this.#lastLocation = konum;
+                onChange();
+            }, CONFIG.UI.DEBOUNCE_DELAY);
+
+            window.addEventListener('popstate', kontrol);
+            window.addEventListener('lcw:locationchange', kontrol);
+        }
+    }
+
+    class DebugPanel {
+        static #host = null;
+        static #timer = null;
+
+        static #styles = `
+            .panel {
+                position: fixed;
+                bottom: 12px;
+                right: 12px;
+                z-index: 2147483647;
+                width: 340px;
+                max-height: 70vh;
+                overflow-y: auto;
+                padding: 10px 12px;
+                border-radius: 6px;
+                background: rgba(20, 20, 20, 0.92);
+                color: #eee;
+                font: 12px/1.4 monospace;
+            }
+            header {
+                display: flex;
+                justify-content: space-between;
+                align-items: center;
+                font-weight: bold;
+            }
+            .panel.kapali .govde {
+                display: none;
+            }
+            dl {
+                display: grid;
+                grid-template-columns: auto 1fr;
+                gap: 2px 8px;
+                margin: 8px 0;
+            }
+            dt {
+                color: #9ab;
+            }
+            dd {
+                margin: 0;
+                word-break: break-all;
+            }
+            h4 {
+                margin: 10px 0 0;
+                color: #fc6;
+            }
+            .eylemler {
+                display: flex;
+                flex-wrap: wrap;
+                gap: 6px;
+                margin-top: 10px;
+            }
+            button {
+                padding: 4px 8px;
+                border: 1px solid #555;
+                border-radius: 3px;
+                background: #333;
+                color: #eee;
+                font: inherit;
+                cursor: pointer;
+            }
+            button:focus-visible {
+                outline: 2px solid #fc6;
+            }
+        `;
+
+        static mount() {
+            if (this.#host || !document.body) return;
+
+            this.#host = document.createElement('div');
+            this.#host.className = 'lcw-debug-host';
+            const kok = this.#host.attachShadow({ mode: 'open' });
+            kok.innerHTML = `
+                <style>${this.#styles}</style>
+                <section class="panel" aria-label="LCW carousel debug">
+                    <header>
+                        <span>LCW debug</span>
+                        <button type="button" data-action="toggle" aria-expanded="true">_</button>
+                    </header>
+                    <div class="govde">
+                        <div class="durum"></div>
+                        <div class="eylemler">
+                            <button type="button" data-action="clear-cache">Clear cache</button>
+                            <button type="button" data-action="refetch">Force refetch</button>
+                            <button type="button" data-action="simulate-failure">Simulate failure</button>
+                            <button type="button" data-action="simulate-empty">Simulate empty feed</button>
+                            <button type="button" data-action="simulate-off">Stop simulation</button>
+                            <button type="button" data-action="reinitialize">Re-initialize</button>
+                        </div>
+                    </div>
+                </section>
+            `;
+
+            kok.addEventListener('click', (e) => {
+                const buton = e.target.closest('[data-action]');
+                if (buton) this.#run(buton.getAttribute('data-action'), buton);
+            });
+
+            document.body.appendChild(this.#host);
+            this.#timer = setInterval(() => this.render(), 1000);
+            this.render();
+        }
+
+        static unmount() {
+            clearInterval(this.#timer);
+            this.#timer = null;
+            this.#host?.remove();
+            this.#host = null;
+        }
+
+        static async render() {
+            const durum = this.#host?.shadowRoot.querySelector('.durum');
+            if (!durum) return;
+
+            const bolumler = await Promise.all(ProductCarousel.instances.map(async (instance) => {
+                const state = instance.getState();
+                const cached = state.cacheKey ? await ProductCache.read(state.cacheKey, state.cacheBackend) : null;
+                const boyut = state.cacheBackend === 'localStorage' && state.cacheKey ? `${(Storage.size(state.cacheKey) / 1024).toFixed(1)} KB` : '-';
+
+                return this.#section(state.id, {
+                    source: state.source,
+                    ready: state.ready,
+                    loading: state.isLoading,
+                    index: `${state.currentIndex} / ${state.maxIndex}`,
+                    visible: state.visibleCount,
+                    products: state.products.length,
+                    favorites: state.favorites.length,
+                    error: state.error?.message ?? '-',
+                    cache: cached ? `${Math.round(cached.age / 1000)}s${cached.stale ? ' (stale)' : ''}, ${boyut}` : '-'
+                });
+            }));
+
+            const istek = ApiClient.lastRequest;
+            bolumler.push(this.#section('API', {
+                status: istek ? (istek.status ?? istek.error) : '-',
+                retries: istek?.retries ?? '-',
+                timing: istek ? `${istek.duration} ms` : '-',
+                url: istek?.url ?? '-',
+                simulation: ApiClient.simulation ?? 'off'
+            }));
+
+            durum.innerHTML = bolumler.join('');
+        }
+
+        static #section(baslik, alanlar) {
+            const satirlar = Object.entries(alanlar)
+                .map(([ad, deger]) => `<dt>${Utils.sanitize(ad)}</dt><dd>${Utils.sanitize(String(deger))}</dd>`)
+                .join('');
+            return `<h4>${Utils.sanitize(baslik)}</h4><dl>${satirlar}</dl>`;
+        }
+
+        static async #clearCache() {
+            await Promise.all(ProductCarousel.instances.map(instance => {
+                const { cacheKey, cacheBackend } = instance.getState();
+                return cacheKey ? ProductCache.remove(cacheKey, cacheBackend) : null;
+            }));
+            Storage.keys(CONFIG.CACHE.KEYS.PRODUCTS).forEach(key => Storage.remove(key));
+        }
+
+        static async #run(eylem, buton) {
+            if (eylem === 'toggle') {
+                const kapali = buton.closest('.panel').classList.toggle('kapali');
+                buton.setAttribute('aria-expanded', String(!kapali));
+                return;
+            }
+
+            if (eylem === 'clear-cache') {
+                await this.#clearCache();
+            } else if (eylem === 'refetch') {
+                await Promise.allSettled(ProductCarousel.instances.map(instance => instance.refresh()));
+            } else if (eylem.startsWith('simulate-')) {
+                const mod = eylem.slice('simulate-'.length);
+                ApiClient.simulate(mod === 'off' ? null : mod);
+                await this.#clearCache();
+                ProductCarousel.restartAll();
+            } else if (eylem === 'reinitialize') {
+                ProductCarousel.restartAll();
+            }
+
+            this.render();
         }
     }
 
     let carouselInstance = null;
+    let recentInstance = null;
+    let recentOptions = {};
+
+    const createRecentRail = (options) => {
+        recentInstance?.destroy();
+        recentInstance = null;
+        if (options) recentInstance = new ProductCarousel({ order: 1, ...options, id: 'lcw-son-bakilanlar', source: RECENTLY_VIEWED_SOURCE });
+        recentOptions = options;
+        return recentInstance;
+    };
 
     const initialize = () => {
         try {
             if (carouselInstance) {
                 carouselInstance.destroy();
             }
+            createRecentRail(recentOptions);
             carouselInstance = new ProductCarousel();
 
             window.lcwCarousel = {
-                destroy: () => carouselInstance?.destroy()
+                create: (options) => new ProductCarousel(options),
+                registerStrategy: (name, score) => Recommender.registerStrategy(name, score),
+                registerSource: (type, factory) => DataSources.register(type, factory),
+                favorites: {
+                    list: () => FavoritesStore.list(),
+                    has: (id) => FavoritesStore.has(id),
+                    add: (id) => FavoritesStore.add(id),
+                    remove: (id) => FavoritesStore.remove(id),
+                    toggle: (id) => FavoritesStore.toggle(id),
+                    subscribe: (listener) => FavoritesStore.subscribe(listener),
+                    unsubscribe: (listener) => FavoritesStore.unsubscribe(listener)
+                },
+                recentlyViewed: {
+                    list: (options) => RecentlyViewed.list(options),
+                    clear: () => RecentlyViewed.clear(),
+                    subscribe: (listener) => RecentlyViewed.subscribe(listener),
+                    configure: (options) => createRecentRail(options === false ? null : { ...options })
+                },
+                next: () => carouselInstance?.next(),
+                prev: () => carouselInstance?.prev(),
+                goTo: (index) => carouselInstance?.goTo(index),
+                refresh: () => carouselInstance?.refresh(),
+                setProducts: (list) => carouselInstance?.setProducts(list),
+                getState: () => carouselInstance?.getState() ?? null,
+                toggleFavorite: (id) => FavoritesStore.toggle(id),
+                on: (type, handler) => carouselInstance?.on(type, handler),
+                off: (type, handler) => carouselInstance?.off(type, handler),
+                destroy: () => {
+                    recentInstance?.destroy();
+                    carouselInstance?.destroy();
+                }
             };
             
         } catch (error) {
@@ -608,14 +3868,32 @@
         }
     };
 
+    CONFIG.CACHE.LEGACY_KEYS.forEach(key => Storage.remove(key));
+
     if (document.readyState === 'loading') {
         document.addEventListener('DOMContentLoaded', initialize);
     } else {
         initialize();
     }
 
+    RouteWatcher.start(() => ProductCarousel.restartAll());
+
     if (window.location.hostname === 'localhost' || window.location.search.includes('debug=true')) {
-        window.LCW_DEBUG = { carouselInstance, initialize };
+        window.LCW_DEBUG = {
+            get carouselInstance() { return carouselInstance; },
+            get recentInstance() { return recentInstance; },
+            get lastRequest() { return ApiClient.lastRequest; },
+            initialize,
+            simulate: (mode) => ApiClient.simulate(mode),
+            showPanel: () => DebugPanel.mount(),
+            hidePanel: () => DebugPanel.unmount()
+        };
+
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => DebugPanel.mount());
+        } else {
+            DebugPanel.mount();
+        }
     }
 
 })();
\ No newline at end of file